@@ -47,9 +47,12 @@ document.addEventListener("DOMContentLoaded", function() {
   const noticeText = document.getElementById("noticeText");
   const replyText = document.getElementById("replyText");
 
-  const studentNameInput = document.getElementById("studentName");
   const attendanceBtn = document.getElementById("attendanceBtn");
   const timerDisplay = document.getElementById("timerDisplay");
+  const sessionCode = document.getElementById("sessionCode");
+
+  // The legacy demo always works on the default (migrated) class
+  const classId = window.classesModule.DEFAULT_CLASS_ID;
 
   // Store unsubscribe functions for cleanup
   const unsubscribeFunctions = {
@@ -58,15 +61,20 @@ document.addEventListener("DOMContentLoaded", function() {
     classInfo: null,
     deadline: null,
     submissions: null,
+    roster: null,
     notice: null,
-    parentMessages: null,
-    parentReply: null
+    parentNotice: null,
+    conversations: null,
+    codeRotation: null
   };
 
   // Current state (derived from Firestore, not stored locally)
   let currentClassInfo = { className: '', strength: 0 };
-  let currentDeadlineDate = null;
+  let currentAssignmentId = null;
+  let currentAssignment = null;
   let currentSubmissions = [];
+  let currentRoster = [];
+  let currentConversations = [];
 
   // ========== ROLE SELECTION ==========
   document.getElementById("btnTeacher").addEventListener("click", () => {
@@ -101,68 +109,78 @@ document.addEventListener("DOMContentLoaded", function() {
   // ========== ATTENDANCE ==========
   attendanceBtn.addEventListener("click", async () => {
     attendanceBtn.disabled = true;
-    await window.attendanceModule.openAttendance(30);
-    // Button will be re-enabled by the status listener
+    const result = await window.attendanceModule.openAttendance(classId, 30);
+    // Otherwise the button is re-enabled by the status listener
+    if (!window.toastModule.showResult(result)) {
+      attendanceBtn.disabled = false;
+    }
   });
 
   // Student mark attendance
   document.getElementById("btnMarkSelfPresent").addEventListener("click", async function() {
-    const studentName = studentNameInput.value.trim();
-    const success = await window.attendanceModule.markStudentPresent(studentName);
-    if (success) {
-      studentNameInput.value = "";
+    const codeInput = document.getElementById("attendanceCode");
+    const result = await window.attendanceModule.markStudentPresent(classId, codeInput.value);
+    if (window.toastModule.showResult(result)) {
+      codeInput.value = "";
     }
   });
 
   // ========== SUBMISSIONS ==========
   // Student submit work
   document.getElementById("btnSubmitWork").addEventListener("click", async function() {
-    const studentName = studentNameInput.value.trim();
     const content = document.getElementById("submissionContent").value.trim();
-    const success = await window.submissionsModule.submitWork(studentName, content);
-    if (success) {
+    const result = await window.submissionsModule.submitWork(classId, currentAssignmentId, content);
+    if (window.toastModule.showResult(result)) {
       document.getElementById("submissionContent").value = "";
     }
   });
 
-  // Set deadline
+  // Set deadline (the demo creates one assignment per deadline date)
   document.getElementById("btnSetDeadline").addEventListener("click", async function() {
     const date = document.getElementById("deadline").value;
-    await window.submissionsModule.setDeadline(date);
+    window.toastModule.showResult(await window.assignmentsModule.createAssignment(classId, { title: `Work due ${date}`, dueDate: date }));
   });
 
-  // Send reminder (informational only - can be enhanced later)
-  document.getElementById("btnSendReminder").addEventListener("click", function() {
-    alert("Reminder sent to students who haven't submitted!");
+  // Send reminder to roster students who have not submitted the current assignment
+  document.getElementById("btnSendReminder").addEventListener("click", async function() {
+    const pendingStudents = window.classesModule.getMissingStudents(
+      currentRoster,
+      currentSubmissions.map(sub => ({ uid: sub.studentId || null, name: sub.studentName }))
+    );
+    window.toastModule.showResult(await window.notificationsModule.sendReminder(classId, currentAssignment, pendingStudents));
   });
 
   // ========== NOTICES ==========
   document.getElementById("btnPostNotice").addEventListener("click", async function() {
-    await window.submissionsModule.postNotice(noticeText.value);
-    noticeText.value = "";
+    const result = await window.noticesModule.postNotice(classId, noticeText.value);
+    if (window.toastModule.showResult(result)) {
+      noticeText.value = "";
+    }
   });
 
   // ========== PARENT-TEACHER COMMUNICATION ==========
   document.getElementById("btnSendReply").addEventListener("click", async function() {
-    await window.submissionsModule.sendParentReply(replyText.value);
-    replyText.value = "";
+    // The demo has a single reply box, so it answers the most recent thread
+    const latest = currentConversations[0];
+    const result = await window.conversationsModule.sendTeacherReply(classId, latest ? latest.id : null, replyText.value);
+    if (window.toastModule.showResult(result)) {
+      replyText.value = "";
+    }
   });
 
-  document.getElementById("btnSendMessage").addEventListener("click", async function() {
-    const childName = document.getElementById("childName").value.trim();
-    const message = document.getElementById("parentMessage").value.trim();
-    await window.submissionsModule.sendParentMessage(childName, message);
-    document.getElementById("parentMessage").value = "";
+  document.getElementById("btnSendMessage").addEventListener("click", function() {
+    // Threads belong to a parent's linked child, which needs a signed-in account
+    window.toastModule.showToast('Messaging the teacher needs a linked child. Please use the Parent Portal.');
   });
 
   // ========== CLASS INFO UPDATES ==========
   // Update class info when teacher changes it
   className.addEventListener("input", () => {
-    window.submissionsModule.updateClassInfo(className.value, strength.value);
+    window.submissionsModule.updateClassInfo(classId, className.value, strength.value);
   });
 
   strength.addEventListener("input", () => {
-    window.submissionsModule.updateClassInfo(className.value, strength.value);
+    window.submissionsModule.updateClassInfo(classId, className.value, strength.value);
   });
 
   // ========== REAL-TIME LISTENERS SETUP ==========
@@ -172,27 +190,38 @@ document.addEventListener("DOMContentLoaded", function() {
    */
   function setupTeacherListeners() {
     // Watch attendance status
-    unsubscribeFunctions.attendanceStatus = window.attendanceModule.watchAttendanceStatus((status) => {
+    unsubscribeFunctions.attendanceStatus = window.attendanceModule.watchAttendanceStatus(classId, (status) => {
       attendanceBtn.disabled = status.isOpen;
+      if (status.isOpen && !unsubscribeFunctions.codeRotation) {
+        // Show the rotating session code students must enter
+        unsubscribeFunctions.codeRotation = window.attendanceModule.startCodeRotation(classId, (code) => {
+          sessionCode.innerText = code;
+        });
+      } else if (!status.isOpen && unsubscribeFunctions.codeRotation) {
+        unsubscribeFunctions.codeRotation();
+        unsubscribeFunctions.codeRotation = null;
+        sessionCode.innerText = "";
+      }
       if (status.isOpen && status.remainingSeconds > 0) {
         timerDisplay.innerHTML = `<span class="bg-green-500 text-white px-3 py-1 rounded-full text-sm">Attendance Open: ${status.remainingSeconds}s</span>`;
       } else {
         timerDisplay.innerHTML = `<span class="bg-red-500 text-white px-3 py-1 rounded-full text-sm">Attendance Closed</span>`;
-        if (status.remainingSeconds === 0 && status.isOpen) {
+        if (status.expired) {
           // Auto-close when timer expires
-          window.attendanceModule.closeAttendance();
+          window.attendanceModule.closeAttendance(classId);
         }
       }
     });
 
-    // Watch present students
+    // Watch present students (present or late)
     const today = window.attendanceModule.getCurrentDate();
-    unsubscribeFunctions.presentStudents = window.attendanceModule.watchPresentStudents(today, (students) => {
+    unsubscribeFunctions.presentStudents = window.attendanceModule.watchAttendanceRecords(classId, today, (entries) => {
+      const students = entries.filter(window.attendanceModule.isAttended);
       updateAttendanceDisplay(students);
     });
 
     // Watch class info
-    unsubscribeFunctions.classInfo = window.submissionsModule.watchClassInfo((info) => {
+    unsubscribeFunctions.classInfo = window.submissionsModule.watchClassInfo(classId, (info) => {
       currentClassInfo = info;
       className.value = info.className;
       strength.value = info.strength;
@@ -202,21 +231,27 @@ document.addEventListener("DOMContentLoaded", function() {
       }
     });
 
-    // Watch deadline
-    unsubscribeFunctions.deadline = window.submissionsModule.watchDeadline((deadline) => {
-      currentDeadlineDate = deadline;
-      if (deadline) {
-        studentDeadline.innerText = deadline;
+    // Watch the roster (reminders go to roster students who have not submitted)
+    unsubscribeFunctions.roster = window.classesModule.watchRoster(classId, (roster) => {
+      currentRoster = roster;
+    });
+
+    // Watch the latest open assignment
+    unsubscribeFunctions.deadline = watchLatestAssignment((assignment) => {
+      currentAssignmentId = assignment ? assignment.id : null;
+      currentAssignment = assignment;
+      if (assignment) {
+        studentDeadline.innerText = assignment.dueDate;
       } else {
         studentDeadline.innerText = "Not Set";
       }
       
-      // Watch submissions for this deadline
+      // Watch submissions for this assignment
       if (unsubscribeFunctions.submissions) {
         unsubscribeFunctions.submissions();
       }
-      if (deadline) {
-        unsubscribeFunctions.submissions = window.submissionsModule.watchSubmissions(deadline, (submissions) => {
+      if (assignment) {
+        unsubscribeFunctions.submissions = window.submissionsModule.watchSubmissions(classId, assignment.id, (submissions) => {
           currentSubmissions = submissions;
           updateSubmissionDisplay(submissions);
         });
@@ -227,14 +262,27 @@ document.addEventListener("DOMContentLoaded", function() {
     });
 
     // Watch notice
-    unsubscribeFunctions.notice = window.submissionsModule.watchNotice((notice) => {
-      studentNotice.innerText = notice;
-      parentNotice.innerText = notice;
+    unsubscribeFunctions.notice = window.noticesModule.watchNotice(classId, { role: 'student' }, (notices) => {
+      studentNotice.innerText = formatNotices(notices);
+    });
+    unsubscribeFunctions.parentNotice = window.noticesModule.watchNotice(classId, { role: 'parent' }, (notices) => {
+      parentNotice.innerText = formatNotices(notices);
+    });
+
+    // Watch parent conversations
+    unsubscribeFunctions.conversations = window.conversationsModule.watchConversations(classId, (conversations) => {
+      currentConversations = conversations;
+      updateConversations(conversations);
     });
+  }
 
-    // Watch parent messages
-    unsubscribeFunctions.parentMessages = window.submissionsModule.watchParentMessages((messages) => {
-      updateParentMessages(messages);
+  /**
+   * Watches the class's assignments and reports the latest open one
+   * (the demo shows a single deadline)
+   */
+  function watchLatestAssignment(callback) {
+    return window.assignmentsModule.watchAssignments(classId, (assignments) => {
+      callback(assignments.filter(a => a.status === 'open').pop() || null);
     });
   }
 
@@ -243,26 +291,27 @@ document.addEventListener("DOMContentLoaded", function() {
    */
   function setupStudentListeners() {
     // Watch attendance status
-    unsubscribeFunctions.attendanceStatus = window.attendanceModule.watchAttendanceStatus((status) => {
+    unsubscribeFunctions.attendanceStatus = window.attendanceModule.watchAttendanceStatus(classId, (status) => {
       // Update button state if needed (can show if attendance is open)
       const btn = document.getElementById("btnMarkSelfPresent");
       if (!status.isOpen) {
-        // Button can still be clicked, but will show alert
+        // Button can still be clicked, but will show an error
       }
     });
 
-    // Watch deadline
-    unsubscribeFunctions.deadline = window.submissionsModule.watchDeadline((deadline) => {
-      if (deadline) {
-        studentDeadline.innerText = deadline;
+    // Watch the latest open assignment
+    unsubscribeFunctions.deadline = watchLatestAssignment((assignment) => {
+      currentAssignmentId = assignment ? assignment.id : null;
+      if (assignment) {
+        studentDeadline.innerText = assignment.dueDate;
       } else {
         studentDeadline.innerText = "Not Set";
       }
     });
 
     // Watch notice
-    unsubscribeFunctions.notice = window.submissionsModule.watchNotice((notice) => {
-      studentNotice.innerText = notice;
+    unsubscribeFunctions.notice = window.noticesModule.watchNotice(classId, { role: 'student' }, (notices) => {
+      studentNotice.innerText = formatNotices(notices);
     });
   }
 
@@ -271,27 +320,21 @@ document.addEventListener("DOMContentLoaded", function() {
    */
   function setupParentListeners() {
     // Watch class info
-    unsubscribeFunctions.classInfo = window.submissionsModule.watchClassInfo((info) => {
+    unsubscribeFunctions.classInfo = window.submissionsModule.watchClassInfo(classId, (info) => {
       currentClassInfo = info;
       parentClass.innerText = info.className || "-";
       pTotal.innerText = info.strength || 0;
     });
 
-    // Watch present students
-    const today = window.attendanceModule.getCurrentDate();
-    unsubscribeFunctions.presentStudents = window.attendanceModule.watchPresentStudents(today, (students) => {
-      updateParentAttendanceDisplay(students);
-    });
-
     // Watch notice
-    unsubscribeFunctions.notice = window.submissionsModule.watchNotice((notice) => {
-      parentNotice.innerText = notice;
+    unsubscribeFunctions.notice = window.noticesModule.watchNotice(classId, { role: 'parent' }, (notices) => {
+      parentNotice.innerText = formatNotices(notices);
     });
 
-    // Watch teacher reply
-    unsubscribeFunctions.parentReply = window.submissionsModule.watchParentReply((reply) => {
-      parentReply.innerText = reply;
-    });
+    // Parents only see their own child's attendance, and replies are only
+    // shown to the family they were sent to
+    parentPresentList.innerText = "Sign in to the Parent Portal to see your child's attendance.";
+    parentReply.innerText = "Sign in to the Parent Portal to see your conversation with the teacher.";
   }
 
   /**
@@ -326,9 +369,9 @@ document.addEventListener("DOMContentLoaded", function() {
 
     if (presentList) {
       presentList.innerHTML = "";
-      presentStudents.forEach(name => {
+      presentStudents.forEach(student => {
         const li = document.createElement("li");
-        li.innerText = name;
+        li.innerText = student.name;
         presentList.appendChild(li);
       });
     }
@@ -340,31 +383,9 @@ document.addEventListener("DOMContentLoaded", function() {
 
     if (parentPresentList) {
       parentPresentList.innerHTML = "";
-      presentStudents.forEach(name => {
+      presentStudents.forEach(student => {
         const li = document.createElement("li");
-        li.innerText = name;
-        parentPresentList.appendChild(li);
-      });
-    }
-  }
-
-  /**
-   * Updates parent attendance display only
-   */
-  function updateParentAttendanceDisplay(presentStudents) {
-    const totalStudents = currentClassInfo.strength || 0;
-    const presentCount = presentStudents.length;
-    const absentCount = Math.max(0, totalStudents - presentCount);
-
-    if (pTotal) pTotal.innerText = totalStudents;
-    if (pPresent) pPresent.innerText = presentCount;
-    if (pAbsent) pAbsent.innerText = absentCount;
-
-    if (parentPresentList) {
-      parentPresentList.innerHTML = "";
-      presentStudents.forEach(name => {
-        const li = document.createElement("li");
-        li.innerText = name;
+        li.innerText = student.name;
         parentPresentList.appendChild(li);
       });
     }
@@ -402,26 +423,34 @@ document.addEventListener("DOMContentLoaded", function() {
   /**
    * Updates parent messages display in Teacher Portal
    */
-  function updateParentMessages(messages) {
+  /**
+   * Joins the notices currently up into one block of text (the demo has a single notice line)
+   */
+  function formatNotices(notices) {
+    return notices.length > 0 ? notices.map(notice => notice.text).join("\n\n") : "No notice";
+  }
+
+  function updateConversations(conversations) {
     const teacherMessagesDiv = document.getElementById("teacherMessages");
     if (!teacherMessagesDiv) return;
 
-    if (messages.length === 0) {
-      teacherMessagesDiv.innerHTML = "No messages";
+    teacherMessagesDiv.innerHTML = "";
+    if (conversations.length === 0) {
+      teacherMessagesDiv.innerText = "No messages";
       return;
     }
 
-    const messagesHTML = messages.map(msg => {
-      const childName = msg.childName || 'Unknown';
-      const messageText = msg.message || '';
-      let timestampStr = '';
-      if (msg.timestamp && msg.timestamp.toDate) {
-        timestampStr = `<small class="text-gray-500 text-xs"> - ${msg.timestamp.toDate().toLocaleString()}</small>`;
-      }
-      return `<p class="mb-1 bg-blue-50 p-2 rounded"><strong>${childName}:</strong> ${messageText}${timestampStr}</p>`;
-    }).join("");
-
-    teacherMessagesDiv.innerHTML = messagesHTML;
+    conversations.forEach(conversation => {
+      const p = document.createElement("p");
+      p.className = "mb-1 bg-zinc-800 p-2 rounded border border-zinc-700";
+      const when = conversation.lastMessageAt && conversation.lastMessageAt.toDate
+        ? ` - ${conversation.lastMessageAt.toDate().toLocaleString()}`
+        : '';
+      const sender = conversation.lastSender === 'teacher' ? 'You: ' : '';
+      const unread = conversation.unreadByTeacher ? ` (${conversation.unreadByTeacher} unread)` : '';
+      p.innerText = `${conversation.childName || 'Unknown'}${unread}: ${sender}${conversation.lastMessage || ''}${when}`;
+      teacherMessagesDiv.appendChild(p);
+    });
   }
 
 });
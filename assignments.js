@@ -0,0 +1,421 @@
+/**
+ * Assignments Module
+ *
+ * Handles a class's assignments using Firestore (classes/{classId}/assignments):
+ * - Creating assignments with a title, description, due date/time (in a
+ *   chosen timezone), late policy and maximum score
+ * - Opening/closing assignments for submissions, and allowing resubmission
+ * - Real-time assignment lists for all portals
+ * - Moving data from the single currentDeadline document into assignments
+ *
+ * Submissions for an assignment live in classes/{classId}/submissions as
+ * {assignmentId}_{studentUid} (see submissions.js).
+ */
+
+// Assignment statuses: students can only submit to open assignments
+const ASSIGNMENT_STATUSES = ['open', 'closed'];
+
+// Maximum score for assignments created without one
+const DEFAULT_MAX_SCORE = 100;
+
+// What happens to work submitted after the deadline (plus grace period):
+// accepted as late, accepted with a score penalty, or refused
+const LATE_POLICIES = ['accept', 'penalty', 'lock'];
+
+// Due time used when only a date is given
+const DEFAULT_DUE_TIME = '23:59';
+
+/**
+ * Gets the browser's timezone (e.g. 'Europe/London')
+ * @returns {string}
+ */
+function getLocalTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Gets how far a timezone is ahead of UTC at an instant
+ * @param {number} time - Milliseconds since the epoch
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} - Offset in milliseconds
+ */
+function getTimeZoneOffset(time, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(time)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock date and time in a timezone to a Date
+ * @param {string} localDateTime - 'YYYY-MM-DDTHH:mm' (or 'YYYY-MM-DD', due at DEFAULT_DUE_TIME)
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date|null} - null if the input is not a valid date
+ */
+function zonedTimeToDate(localDateTime, timeZone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?$/.exec(localDateTime || '');
+  if (!match) return null;
+  const [, year, month, day, hour, minute] = match;
+  const [defaultHour, defaultMinute] = DEFAULT_DUE_TIME.split(':');
+  const wallClock = Date.UTC(year, month - 1, day, hour || defaultHour, minute || defaultMinute);
+  // Correct twice so times next to a daylight saving change land on the right offset
+  let time = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  time = wallClock - getTimeZoneOffset(time, timeZone);
+  return new Date(time);
+}
+
+/**
+ * Gets when an assignment is due
+ * Assignments created before due times existed are due at the end of their dueDate
+ * @param {Object} assignment - { dueAt, dueDate }
+ * @returns {Date|null}
+ */
+function getDueTime(assignment) {
+  if (!assignment) return null;
+  if (assignment.dueAt && assignment.dueAt.toDate) return assignment.dueAt.toDate();
+  return assignment.dueDate ? new Date(`${assignment.dueDate}T23:59:59`) : null;
+}
+
+/**
+ * Gets the last moment a submission counts as on time (due time plus grace period)
+ * @param {Object} assignment
+ * @returns {Date|null}
+ */
+function getLateAfter(assignment) {
+  const due = getDueTime(assignment);
+  if (!due) return null;
+  return new Date(due.getTime() + (assignment.graceMinutes || 0) * 60 * 1000);
+}
+
+/**
+ * Works out whether a submission (or one made now) is late and what penalty applies
+ * @param {Object} assignment - Assignment
+ * @param {Date} [submittedAt] - Submission time; defaults to now
+ * @returns {Object} - { late, minutesLate, locked, penaltyPercent }
+ */
+function getLateness(assignment, submittedAt = new Date()) {
+  const lateAfter = getLateAfter(assignment);
+  const minutesLate = lateAfter ? Math.max(0, Math.ceil((submittedAt - lateAfter) / 60000)) : 0;
+  const late = minutesLate > 0;
+  const policy = assignment.latePolicy || 'accept';
+  return {
+    late: late,
+    minutesLate: minutesLate,
+    locked: late && policy === 'lock',
+    penaltyPercent: late && policy === 'penalty' ? assignment.latePenalty || 0 : 0
+  };
+}
+
+/**
+ * Formats an assignment's due time in its own timezone
+ * @param {Object} assignment
+ * @returns {string} - e.g. 'Mon, 3 Mar 2025, 17:00 (Europe/London)'
+ */
+function formatDueTime(assignment) {
+  const due = getDueTime(assignment);
+  if (!due) return '';
+  if (!assignment.dueAt) return assignment.dueDate;
+  const timeZone = assignment.timeZone || getLocalTimeZone();
+  const formatted = due.toLocaleString(undefined, {
+    timeZone: timeZone,
+    weekday: 'short', day: 'numeric', month: 'short', year: 'numeric',
+    hour: '2-digit', minute: '2-digit'
+  });
+  return `${formatted} (${timeZone})`;
+}
+
+/**
+ * Formats the time left until a moment, e.g. '2d 3h', '45m 10s' or 'overdue by 1h 5m'
+ * @param {Date} target
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function formatCountdown(target, now = new Date()) {
+  const remaining = target - now;
+  let seconds = Math.floor(Math.abs(remaining) / 1000);
+  const days = Math.floor(seconds / 86400);
+  seconds -= days * 86400;
+  const hours = Math.floor(seconds / 3600);
+  seconds -= hours * 3600;
+  const minutes = Math.floor(seconds / 60);
+  seconds -= minutes * 60;
+
+  let text;
+  if (days > 0) text = `${days}d ${hours}h`;
+  else if (hours > 0) text = `${hours}h ${minutes}m`;
+  else text = `${minutes}m ${seconds}s`;
+  return remaining >= 0 ? text : `overdue by ${text}`;
+}
+
+/**
+ * Gets the assignments collection for a class
+ */
+function assignmentsCollection(classId) {
+  return window.classesModule.classCollection(classId, 'assignments');
+}
+
+/**
+ * Creates an assignment
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {Object} assignment - { title, description, dueDate ('YYYY-MM-DDTHH:mm' or 'YYYY-MM-DD'),
+ *   timeZone, latePolicy, latePenalty (percent), graceMinutes, maxScore, allowResubmission }
+ * @returns {Promise<Object>} - Result (see results.js); data is the new assignment ID
+ */
+async function createAssignment(classId, assignment) {
+  // Check authentication and permission
+  const { user, error: authError } = await window.permissionsModule.requirePermission('create', 'assignment', 'create assignments');
+  if (authError) return authError;
+
+  if (!classId) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please select a class first.');
+  }
+
+  const title = (assignment.title || '').trim();
+  if (!title) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please enter an assignment title');
+  }
+
+  if (!assignment.dueDate) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please select a due date');
+  }
+
+  const timeZone = assignment.timeZone || getLocalTimeZone();
+  const dueAt = zonedTimeToDate(assignment.dueDate, timeZone);
+  if (!dueAt || isNaN(dueAt.getTime())) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please enter a valid due date and time');
+  }
+
+  const latePolicy = assignment.latePolicy || 'accept';
+  if (!LATE_POLICIES.includes(latePolicy)) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Unknown late policy.');
+  }
+
+  const latePenalty = latePolicy === 'penalty' ? Number(assignment.latePenalty) : 0;
+  if (!Number.isFinite(latePenalty) || latePenalty < 0 || latePenalty > 100) {
+    return window.resultsModule.failure('INVALID_INPUT', 'The late penalty must be a percentage between 0 and 100');
+  }
+
+  const graceMinutes = Number(assignment.graceMinutes || 0);
+  if (!Number.isInteger(graceMinutes) || graceMinutes < 0) {
+    return window.resultsModule.failure('INVALID_INPUT', 'The grace period must be a whole number of minutes');
+  }
+
+  const maxScore = assignment.maxScore === undefined || assignment.maxScore === ''
+    ? DEFAULT_MAX_SCORE
+    : Number(assignment.maxScore);
+  if (!Number.isFinite(maxScore) || maxScore <= 0) {
+    return window.resultsModule.failure('INVALID_INPUT', 'The maximum score must be a positive number');
+  }
+
+  try {
+    const docRef = await assignmentsCollection(classId).add({
+      title: title,
+      description: (assignment.description || '').trim(),
+      dueDate: assignment.dueDate.slice(0, 10),
+      dueAt: backend.Timestamp.fromDate(dueAt),
+      timeZone: timeZone,
+      latePolicy: latePolicy,
+      latePenalty: latePenalty,
+      graceMinutes: graceMinutes,
+      maxScore: maxScore,
+      allowResubmission: !!assignment.allowResubmission,
+      status: 'open',
+      createdBy: user.uid,
+      timestamp: backend.FieldValue.serverTimestamp()
+    });
+    return window.resultsModule.success(`Assignment "${title}" created.`, docRef.id);
+  } catch (error) {
+    console.error('Error creating assignment:', error);
+    return window.resultsModule.fromError(error, 'Failed to create assignment. Please try again.');
+  }
+}
+
+/**
+ * Opens or closes an assignment for submissions
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {string} assignmentId - Assignment ID
+ * @param {string} status - 'open' or 'closed'
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function setAssignmentStatus(classId, assignmentId, status) {
+  // Check authentication and permission
+  const { error: authError } = await window.permissionsModule.requirePermission('update', 'assignment', 'change assignments');
+  if (authError) return authError;
+
+  if (!ASSIGNMENT_STATUSES.includes(status)) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Unknown assignment status.');
+  }
+
+  try {
+    await assignmentsCollection(classId).doc(assignmentId).update({
+      status: status,
+      timestamp: backend.FieldValue.serverTimestamp()
+    });
+    return window.resultsModule.success(status === 'open' ? 'Assignment reopened.' : 'Assignment closed.');
+  } catch (error) {
+    console.error('Error updating assignment:', error);
+    return window.resultsModule.fromError(error, 'Failed to update assignment. Please try again.');
+  }
+}
+
+/**
+ * Lets students resubmit to an assignment (or stops them)
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {string} assignmentId - Assignment ID
+ * @param {boolean} allowed - Whether students may submit new versions
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function setAllowResubmission(classId, assignmentId, allowed) {
+  // Check authentication and permission
+  const { error: authError } = await window.permissionsModule.requirePermission('update', 'assignment', 'change assignments');
+  if (authError) return authError;
+
+  try {
+    await assignmentsCollection(classId).doc(assignmentId).update({
+      allowResubmission: !!allowed,
+      timestamp: backend.FieldValue.serverTimestamp()
+    });
+    return window.resultsModule.success(allowed ? 'Resubmissions allowed.' : 'Resubmissions turned off.');
+  } catch (error) {
+    console.error('Error updating assignment:', error);
+    return window.resultsModule.fromError(error, 'Failed to update assignment. Please try again.');
+  }
+}
+
+/**
+ * Sets up real-time listener for a class's assignments
+ * Callback receives [{ id, title, description, dueDate, dueAt, timeZone, latePolicy,
+ * latePenalty, graceMinutes, maxScore, allowResubmission, status }] sorted by due time
+ */
+function watchAssignments(classId, updateCallback) {
+  return assignmentsCollection(classId).onSnapshot((snapshot) => {
+    const assignments = [];
+    snapshot.forEach((doc) => {
+      assignments.push({
+        id: doc.id,
+        maxScore: DEFAULT_MAX_SCORE,
+        ...doc.data()
+      });
+    });
+    assignments.sort((a, b) => ((getDueTime(a) || 0) - (getDueTime(b) || 0)) ||
+      (a.title || '').localeCompare(b.title || ''));
+    updateCallback(assignments);
+  }, (error) => {
+    console.error('Error watching assignments:', error);
+    updateCallback([]);
+  });
+}
+
+/**
+ * Gets one assignment
+ * @param {string} classId - Class ID
+ * @param {string} assignmentId - Assignment ID
+ * @returns {Promise<Object|null>}
+ */
+async function getAssignment(classId, assignmentId) {
+  try {
+    const doc = await assignmentsCollection(classId).doc(assignmentId).get();
+    return doc.exists ? { id: doc.id, maxScore: DEFAULT_MAX_SCORE, ...doc.data() } : null;
+  } catch (error) {
+    console.error('Error getting assignment:', error);
+    return null;
+  }
+}
+
+/**
+ * Turns submissions grouped by deadline date into assignments
+ * Each deadline date becomes an assignment whose ID is the date, so the
+ * existing {deadlineDate}_{uid} submission documents keep their IDs; the
+ * currentDeadline document's description goes to its assignment and the
+ * document is then removed. Safe to run more than once.
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ */
+async function migrateDeadlines(classId) {
+  const user = window.auth && window.auth.currentUser;
+  if (!user || !classId) return;
+
+  const { error: authError } = await window.permissionsModule.requirePermission('run', 'migration', 'migrate data');
+  if (authError) return;
+
+  try {
+    const submissions = window.classesModule.classCollection(classId, 'submissions');
+    const deadlineRef = submissions.doc('currentDeadline');
+    const [deadlineDoc, snapshot] = await Promise.all([
+      deadlineRef.get(),
+      submissions.where('deadlineDate', '>', '').get()
+    ]);
+
+    const toMigrate = snapshot.docs.filter(doc => !doc.data().assignmentId);
+    if (!deadlineDoc.exists && toMigrate.length === 0) return;
+
+    const deadline = deadlineDoc.exists ? deadlineDoc.data() : {};
+    const dates = new Set(toMigrate.map(doc => doc.data().deadlineDate));
+    if (deadline.date) dates.add(deadline.date);
+
+    // Firestore batches are limited to 500 writes
+    let batch = db.batch();
+    let pending = 0;
+    const queue = async (write) => {
+      write(batch);
+      pending++;
+      if (pending === 450) {
+        await batch.commit();
+        batch = db.batch();
+        pending = 0;
+      }
+    };
+
+    for (const date of dates) {
+      await queue(b => b.set(assignmentsCollection(classId).doc(date), {
+        title: `Work due ${date}`,
+        description: date === deadline.date ? deadline.description || '' : '',
+        dueDate: date,
+        status: 'open',
+        createdBy: user.uid,
+        timestamp: backend.FieldValue.serverTimestamp()
+      }, { merge: true }));
+    }
+    for (const doc of toMigrate) {
+      await queue(b => b.update(doc.ref, { assignmentId: doc.data().deadlineDate }));
+    }
+    if (deadlineDoc.exists) {
+      await queue(b => b.delete(deadlineRef));
+    }
+    if (pending > 0) {
+      await batch.commit();
+    }
+  } catch (error) {
+    console.error('Error migrating deadlines:', error);
+  }
+}
+
+// Export functions for use in portal pages
+window.assignmentsModule = {
+  ASSIGNMENT_STATUSES,
+  DEFAULT_MAX_SCORE,
+  LATE_POLICIES,
+  getLocalTimeZone,
+  zonedTimeToDate,
+  getDueTime,
+  getLateAfter,
+  getLateness,
+  formatDueTime,
+  formatCountdown,
+  createAssignment,
+  setAssignmentStatus,
+  setAllowResubmission,
+  watchAssignments,
+  getAssignment,
+  migrateDeadlines
+};
@@ -3,9 +3,18 @@
  * 
  * Handles all attendance-related operations using Firestore:
  * - Opening/closing attendance sessions
- * - Student attendance marking
+ * - Rotating session codes students must enter (or scan) to mark attendance
+ * - Student attendance marking (present, or late after the grace period)
+ * - Per-student statuses: present, late, excused, absent
+ * - Teacher corrections for any date, logged with who, when and why
  * - Real-time attendance updates across all portals
  * - Auto-closing attendance after timer expires
+ *
+ * A day's records (attendance/{date}) cover the whole class and are read by
+ * the teacher only. Every change to a student's record is also written, in
+ * the same batch or transaction, to that student's
+ * studentAttendance/{uid} document, which the student and their linked
+ * parents read.
  */
 
 // Get current date in YYYY-MM-DD format
@@ -13,209 +22,344 @@ function getCurrentDate() {
   return new Date().toISOString().split('T')[0];
 }
 
-// Timer interval reference for cleanup
-let attendanceTimerInterval = null;
+// Per-student attendance statuses
+const ATTENDANCE_STATUSES = ['present', 'late', 'excused', 'absent'];
+
+// Statuses that count as having attended
+const ATTENDED_STATUSES = ['present', 'late'];
+
+// Session codes rotate every 10 seconds; each stays valid 5 seconds longer
+// so a student typing the code as it changes is not rejected
+const SESSION_CODE_ROTATION_SECONDS = 10;
+const SESSION_CODE_GRACE_SECONDS = 5;
+
+// Rotation interval reference for cleanup
+let sessionCodeInterval = null;
+
+/**
+ * Gets the attendance collection for a class (classes/{classId}/attendance)
+ */
+function attendanceCollection(classId) {
+  return window.classesModule.classCollection(classId, 'attendance');
+}
+
+/**
+ * Gets a student's own attendance document (classes/{classId}/studentAttendance/{uid})
+ * { days: { 'YYYY-MM-DD': { status, reason } } }
+ */
+function studentAttendanceRef(classId, studentId) {
+  return window.classesModule.classCollection(classId, 'studentAttendance').doc(studentId);
+}
+
+/**
+ * Builds the studentAttendance data recording one day's status (merged into the document)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object|null} day - { status, reason }, or null to remove the day
+ * @returns {Object}
+ */
+function studentAttendanceDay(date, day) {
+  return { days: { [date]: day || backend.FieldValue.delete() } };
+}
+
+/**
+ * Gets the session code collection for a class (classes/{classId}/attendanceCodes)
+ * Each document ID is a code; students look up the code they entered by ID
+ */
+function codesCollection(classId) {
+  return window.classesModule.classCollection(classId, 'attendanceCodes');
+}
+
+/**
+ * Generates a random 6-digit session code
+ * @returns {string}
+ */
+function generateSessionCode() {
+  const values = new Uint32Array(1);
+  window.crypto.getRandomValues(values);
+  return String(values[0] % 1000000).padStart(6, '0');
+}
+
+/**
+ * Issues a new session code for today's attendance
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @returns {Promise<string|null>} - The new code or null on failure
+ */
+async function issueSessionCode(classId) {
+  const code = generateSessionCode();
+  const expiresAt = backend.Timestamp.fromDate(
+    new Date(Date.now() + (SESSION_CODE_ROTATION_SECONDS + SESSION_CODE_GRACE_SECONDS) * 1000)
+  );
+
+  try {
+    await codesCollection(classId).doc(code).set({
+      date: getCurrentDate(),
+      expiresAt: expiresAt,
+      timestamp: backend.FieldValue.serverTimestamp()
+    });
+    return code;
+  } catch (error) {
+    console.error('Error issuing session code:', error);
+    return null;
+  }
+}
+
+/**
+ * Starts rotating the session code while attendance is open
+ * Called from the teacher's screen, which displays each new code
+ * @param {string} classId - Class ID
+ * @param {Function} onCode - Called with each new code
+ * @returns {Function} - Stops the rotation
+ */
+function startCodeRotation(classId, onCode) {
+  stopCodeRotation();
+
+  const rotate = async () => {
+    const code = await issueSessionCode(classId);
+    if (code) onCode(code);
+  };
+
+  rotate();
+  sessionCodeInterval = setInterval(rotate, SESSION_CODE_ROTATION_SECONDS * 1000);
+  return stopCodeRotation;
+}
+
+/**
+ * Stops rotating the session code
+ */
+function stopCodeRotation() {
+  if (sessionCodeInterval) {
+    clearInterval(sessionCodeInterval);
+    sessionCodeInterval = null;
+  }
+}
+
+/**
+ * Deletes the session codes issued for a date
+ * @param {string} classId - Class ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ */
+async function clearSessionCodes(classId, date) {
+  try {
+    const snapshot = await codesCollection(classId).where('date', '==', date).get();
+    const batch = db.batch();
+    snapshot.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+  } catch (error) {
+    console.error('Error clearing session codes:', error);
+  }
+}
 
 /**
  * Opens an attendance session for the specified duration
  * Requires teacher role
+ * @param {string} classId - Class ID
  * @param {number} durationSeconds - Duration in seconds (default: 30 = 30 seconds)
+ * @param {number} graceSeconds - Students marking after this many seconds are recorded as late
+ * @returns {Promise<Object>} - Result (see results.js)
  */
-async function openAttendance(durationSeconds = 30) {
-  // Check authentication
-  const user = window.auth && window.auth.currentUser;
-  if (!user) {
-    alert('You must be logged in to open attendance.');
-    throw new Error('Not authenticated');
-  }
+async function openAttendance(classId, durationSeconds = 30, graceSeconds = 15) {
+  // Check authentication and permission
+  const { error: authError } = await window.permissionsModule.requirePermission('open', 'attendance', 'open attendance');
+  if (authError) return authError;
 
-  // Check role
-  if (window.authModule) {
-    const role = await window.authModule.getUserRole(user.uid);
-    if (role !== 'teacher') {
-      alert('Only teachers can open attendance.');
-      throw new Error('Unauthorized: Teacher role required');
-    }
+  if (!classId) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please select a class first.');
   }
 
   const date = getCurrentDate();
-  const endTime = firebase.firestore.Timestamp.fromDate(
+  const endTime = backend.Timestamp.fromDate(
     new Date(Date.now() + durationSeconds * 1000)
   );
+  const lateAfter = backend.Timestamp.fromDate(
+    new Date(Date.now() + Math.min(graceSeconds, durationSeconds) * 1000)
+  );
 
   try {
     // Update current attendance status
-    await db.collection('attendance').doc('current').set({
+    await attendanceCollection(classId).doc('current').set({
       date: date,
       status: 'open',
       endTime: endTime,
-      timestamp: firebase.firestore.FieldValue.serverTimestamp()
+      lateAfter: lateAfter,
+      timestamp: backend.FieldValue.serverTimestamp()
     });
 
-    // Initialize or reset students array for today's attendance
-    await db.collection('attendance').doc(date).set({
+    // Open today's attendance document (existing records for the day are kept)
+    await attendanceCollection(classId).doc(date).set({
       status: 'open',
       endTime: endTime,
-      students: [],
-      timestamp: firebase.firestore.FieldValue.serverTimestamp()
+      timestamp: backend.FieldValue.serverTimestamp()
     }, { merge: true });
 
-    // Start client-side timer for UI updates
-    startAttendanceTimer(durationSeconds);
-
     console.log(`Attendance opened for ${durationSeconds} seconds`);
+    return window.resultsModule.success();
   } catch (error) {
     console.error('Error opening attendance:', error);
-    if (!error.message.includes('Unauthorized') && !error.message.includes('authenticated')) {
-      alert('Failed to open attendance. Please try again.');
-    }
-    throw error;
+    return window.resultsModule.fromError(error, 'Failed to open attendance. Please try again.');
   }
 }
 
 /**
  * Closes the attendance session
+ * @param {string} classId - Class ID
+ * @returns {Promise<Object>} - Result (see results.js)
  */
-async function closeAttendance() {
+async function closeAttendance(classId) {
   const date = getCurrentDate();
 
   try {
     // Update current attendance status
-    await db.collection('attendance').doc('current').update({
+    await attendanceCollection(classId).doc('current').update({
       status: 'closed',
-      timestamp: firebase.firestore.FieldValue.serverTimestamp()
+      timestamp: backend.FieldValue.serverTimestamp()
     });
 
     // Update today's attendance document
-    await db.collection('attendance').doc(date).update({
+    await attendanceCollection(classId).doc(date).update({
       status: 'closed',
-      timestamp: firebase.firestore.FieldValue.serverTimestamp()
+      timestamp: backend.FieldValue.serverTimestamp()
     });
 
-    // Clear timer
-    if (attendanceTimerInterval) {
-      clearInterval(attendanceTimerInterval);
-      attendanceTimerInterval = null;
+    // Stop issuing session codes
+    stopCodeRotation();
+
+    // Record everyone on the roster who did not mark as absent and
+    // discard the session's codes (teacher only)
+    await window.permissionsModule.getRole();
+    if (window.permissionsModule.can('close', 'attendance')) {
+      await recordAbsences(classId, date);
+      await clearSessionCodes(classId, date);
     }
 
     console.log('Attendance closed');
+    return window.resultsModule.success();
   } catch (error) {
     console.error('Error closing attendance:', error);
+    return window.resultsModule.fromError(error, 'Failed to close attendance. Please try again.');
   }
 }
 
 /**
- * Marks a student as present
+ * Marks the signed-in student as present (or late after the grace period)
+ * The record is keyed by the student's uid; the name comes from their profile
+ * The student must enter the session code currently shown on the teacher's screen
  * Requires student role
- * @param {string} studentName - Name of the student
- * @returns {Promise<boolean>} - true if successfully marked, false otherwise
+ * @param {string} classId - Class ID
+ * @param {string} code - Session code entered or scanned by the student
+ * @returns {Promise<Object>} - Result (see results.js); data is the status recorded ('present' or 'late')
  */
-async function markStudentPresent(studentName) {
-  // Check authentication
-  const user = window.auth && window.auth.currentUser;
-  if (!user) {
-    alert('You must be logged in to mark attendance.');
-    return false;
-  }
+async function markStudentPresent(classId, code) {
+  // Check authentication and permission
+  const { user, error: authError } = await window.permissionsModule.requirePermission('mark', 'attendance', 'mark attendance');
+  if (authError) return authError;
 
-  // Check role
-  if (window.authModule) {
-    const role = await window.authModule.getUserRole(user.uid);
-    if (role !== 'student') {
-      alert('Only students can mark attendance.');
-      return false;
-    }
+  if (!classId) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please select your class first.');
   }
 
-  const date = getCurrentDate();
-  const studentNameTrimmed = studentName.trim();
-
-  if (!studentNameTrimmed) {
-    alert('Please enter your name');
-    return false;
+  const codeTrimmed = (code || '').trim();
+  if (!/^\d{6}$/.test(codeTrimmed)) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please enter the 6-digit code shown in class.');
   }
 
   try {
-    // Check if attendance is open
-    const currentDoc = await db.collection('attendance').doc('current').get();
+    // Check if attendance is open; the session's own date is used so a
+    // student whose device clock is off still writes to the right day
+    const currentDoc = await attendanceCollection(classId).doc('current').get();
     if (!currentDoc.exists || currentDoc.data().status !== 'open') {
-      alert('Attendance is not open!');
-      return false;
+      return window.resultsModule.failure('ATTENDANCE_CLOSED', 'Attendance is not open!');
     }
-
-    // Check if attendance has expired
-    const endTime = currentDoc.data().endTime;
-    if (endTime && endTime.toDate() < new Date()) {
-      await closeAttendance();
-      alert('Attendance time has expired!');
-      return false;
+    const session = currentDoc.data();
+    const date = session.date;
+
+    // Check the session code is one issued for this session
+    // (whether it is still valid is decided by the security rules)
+    const codeDoc = await codesCollection(classId).doc(codeTrimmed).get();
+    if (!codeDoc.exists || codeDoc.data().date !== date) {
+      return window.resultsModule.failure('INVALID_CODE', 'Wrong attendance code.');
     }
 
-    // Get today's attendance document
-    const dateDoc = await db.collection('attendance').doc(date);
-    const dateDocSnap = await dateDoc.get();
-
-    if (!dateDocSnap.exists || dateDocSnap.data().status !== 'open') {
-      alert('Attendance is not open!');
-      return false;
+    // Check if student already has a record. Only an 'absent' written when
+    // an earlier session today closed may be replaced (as in the security rules)
+    const dateDoc = attendanceCollection(classId).doc(date);
+    const ownDoc = await studentAttendanceRef(classId, user.uid).get();
+    const existing = ownDoc.exists ? (ownDoc.data().days || {})[date] : null;
+    if (existing && existing.status === 'excused') {
+      return window.resultsModule.failure('ALREADY_MARKED', 'Your teacher has already excused you today.');
     }
-
-    // Check if student already marked present
-    const currentStudents = dateDocSnap.data().students || [];
-    if (currentStudents.includes(studentNameTrimmed)) {
-      alert('You have already marked your attendance!');
-      return false;
+    if (existing && existing.status !== 'absent') {
+      return window.resultsModule.failure('ALREADY_MARKED', 'You have already marked your attendance!');
     }
 
-    // Add student to present list
-    await dateDoc.update({
-      students: firebase.firestore.FieldValue.arrayUnion(studentNameTrimmed)
-    });
+    // Add student to records. The security rules only accept the write
+    // while request.time is before the session's endTime and the code's
+    // expiresAt, and only accept 'present' before lateAfter
+    const studentName = window.authModule
+      ? await window.authModule.getDisplayName(user)
+      : user.email;
+    const ownRef = studentAttendanceRef(classId, user.uid);
+    const writeRecord = (status) => {
+      const batch = db.batch().update(dateDoc, new backend.FieldPath('records', user.uid), {
+        name: studentName,
+        status: status,
+        code: codeTrimmed,
+        markedAt: backend.FieldValue.serverTimestamp()
+      });
+      // Replaces the whole day, so no reason is left over from an absence
+      if (ownDoc.exists) {
+        batch.update(ownRef, new backend.FieldPath('days', date), { status: status });
+      } else {
+        batch.set(ownRef, studentAttendanceDay(date, { status: status }));
+      }
+      return batch.commit();
+    };
+
+    let status = session.lateAfter && session.lateAfter.toDate() < new Date() ? 'late' : 'present';
+    try {
+      await writeRecord(status);
+    } catch (error) {
+      if (error.code !== 'permission-denied' || status === 'late') throw error;
+      // This device's clock is behind the server: the grace period is over
+      status = 'late';
+      await writeRecord(status);
+    }
 
-    alert('Marked present!');
-    return true;
+    return window.resultsModule.success(status === 'late' ? 'Marked late.' : 'Marked present!', status);
   } catch (error) {
     console.error('Error marking attendance:', error);
-    alert('Failed to mark attendance. Please try again.');
-    return false;
+    if (error.code === 'permission-denied') {
+      return window.resultsModule.failure('ATTENDANCE_CLOSED', 'Attendance has closed or this code has expired. Please enter the code currently shown.');
+    }
+    return window.resultsModule.fromError(error, 'Failed to mark attendance. Please try again.');
   }
 }
 
 /**
  * Sets up real-time listener for attendance status
  * Updates UI when attendance status changes
+ * Callback receives { isOpen, remainingSeconds, expired }; expired is true
+ * when the session is still marked open but its endTime has passed (the
+ * closeExpiredAttendance Cloud Function, or the teacher's page, closes it)
  */
-function watchAttendanceStatus(updateCallback) {
-  return db.collection('attendance').doc('current').onSnapshot((doc) => {
-    if (doc.exists) {
-      const data = doc.data();
-      const isOpen = data.status === 'open';
-      
-      // Check if attendance has expired
-      if (isOpen && data.endTime) {
-        const endTime = data.endTime.toDate();
-        if (endTime < new Date()) {
-          // Attendance expired, close it
-          closeAttendance();
-          return;
-        }
-        
-        // Update timer display
-        const remaining = Math.max(0, Math.ceil((endTime - new Date()) / 1000));
-        updateCallback({
-          isOpen: true,
-          remainingSeconds: remaining
-        });
-      } else {
-        updateCallback({
-          isOpen: false,
-          remainingSeconds: 0
-        });
-      }
+function watchAttendanceStatus(classId, updateCallback) {
+  return attendanceCollection(classId).doc('current').onSnapshot((doc) => {
+    const data = doc.exists ? doc.data() : {};
+
+    if (data.status === 'open' && data.endTime) {
+      // Remaining time is only for display; the security rules decide
+      // whether a mark is accepted
+      const remaining = Math.max(0, Math.ceil((data.endTime.toDate() - new Date()) / 1000));
+      updateCallback({
+        isOpen: remaining > 0,
+        remainingSeconds: remaining,
+        expired: remaining === 0
+      });
     } else {
       updateCallback({
         isOpen: false,
-        remainingSeconds: 0
+        remainingSeconds: 0,
+        expired: false
       });
     }
   }, (error) => {
@@ -224,80 +368,400 @@ function watchAttendanceStatus(updateCallback) {
 }
 
 /**
- * Sets up real-time listener for present students list
- * Updates UI when students mark attendance
+ * Converts an attendance/{date} document into a list of per-student records
+ * (see functions/absences.js)
+ * @param {Object} data - Attendance document data
+ * @returns {Array<Object>} - [{ uid, name, status, reason, legacy }]
+ */
+function getAttendanceEntries(data) {
+  return window.absencesModule.getAttendanceEntries(data);
+}
+
+/**
+ * Checks whether an entry counts as having attended (present or late)
+ * @param {Object} entry - Attendance entry
+ * @returns {boolean}
+ */
+function isAttended(entry) {
+  return ATTENDED_STATUSES.includes(entry.status);
+}
+
+/**
+ * Finds a roster student's entry in a day's attendance entries
+ * (see functions/absences.js)
+ * @param {Object} student - Roster entry ({ uid, name })
+ * @param {Array} entries - Entries from getAttendanceEntries
+ * @returns {Object|null} - Matching entry or null if the student has no record
+ */
+function findStudentEntry(student, entries) {
+  return window.absencesModule.findStudentEntry(student, entries);
+}
+
+/**
+ * Gets a roster student's status for a day
+ * Students without a record are absent
+ * @param {Object} student - Roster entry ({ uid, name })
+ * @param {Array} entries - Entries from getAttendanceEntries
+ * @returns {string} - One of ATTENDANCE_STATUSES
+ */
+function getStudentStatus(student, entries) {
+  const entry = findStudentEntry(student, entries || []);
+  return entry ? entry.status : 'absent';
+}
+
+/**
+ * Gets the attendance audit log for a class (classes/{classId}/attendanceAudit)
+ */
+function auditCollection(classId) {
+  return window.classesModule.classCollection(classId, 'attendanceAudit');
+}
+
+/**
+ * Applies a teacher's correction to one student's record for a date and logs it
+ * The record change and the audit entry are written in one transaction
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} student - Roster entry ({ uid, name })
+ * @param {string|null} status - New status, or null to remove the record
+ * @param {string} reason - Why the change was made (required)
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function applyAttendanceCorrection(classId, date, student, status, reason) {
+  // Check authentication and permission
+  const { user, error: authError } = await window.permissionsModule.requirePermission('correct', 'attendance', 'change attendance');
+  if (authError) return authError;
+
+  if (!classId || !date) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please select a class and date.');
+  }
+
+  if (!student || !student.uid) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Attendance can only be recorded for students with an account.');
+  }
+
+  if (status !== null && !ATTENDANCE_STATUSES.includes(status)) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Unknown attendance status.');
+  }
+
+  const reasonTrimmed = (reason || '').trim();
+  if (!reasonTrimmed) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please give a reason for the change.');
+  }
+
+  try {
+    const changedByName = window.authModule ? await window.authModule.getDisplayName(user) : '';
+    const dateRef = attendanceCollection(classId).doc(date);
+    const auditRef = auditCollection(classId).doc();
+
+    await db.runTransaction(async (transaction) => {
+      const dateDoc = await transaction.get(dateRef);
+      const previous = dateDoc.exists ? findStudentEntry(student, getAttendanceEntries(dateDoc.data())) : null;
+      const field = new backend.FieldPath('records', student.uid);
+
+      transaction.set(studentAttendanceRef(classId, student.uid),
+        studentAttendanceDay(date, status === null ? null : { status: status, reason: reasonTrimmed }), { merge: true });
+      if (status === null) {
+        if (dateDoc.exists) {
+          transaction.update(dateRef, field, backend.FieldValue.delete());
+        }
+      } else {
+        transaction.set(dateRef, {
+          records: {
+            [student.uid]: {
+              name: student.name || '',
+              status: status,
+              reason: reasonTrimmed,
+              updatedBy: user.uid,
+              markedAt: backend.FieldValue.serverTimestamp()
+            }
+          }
+        }, { merge: true });
+      }
+
+      transaction.set(auditRef, {
+        date: date,
+        studentId: student.uid,
+        studentName: student.name || '',
+        previousStatus: previous ? previous.status : null,
+        newStatus: status,
+        reason: reasonTrimmed,
+        changedBy: user.uid,
+        changedByName: changedByName,
+        timestamp: backend.FieldValue.serverTimestamp()
+      });
+    });
+    return window.resultsModule.success(status === null ? 'Attendance record removed.' : 'Attendance updated.');
+  } catch (error) {
+    console.error('Error correcting attendance:', error);
+    return window.resultsModule.fromError(error, 'Failed to update attendance. Please try again.');
+  }
+}
+
+/**
+ * Sets a student's attendance status for any date (e.g. excusing an absence
+ * or marking a student whose phone died as present)
+ * The change is recorded in the attendance audit log
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} student - Roster entry ({ uid, name })
+ * @param {string} status - One of ATTENDANCE_STATUSES
+ * @param {string} reason - Why the status is being set
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function setAttendanceStatus(classId, date, student, status, reason) {
+  return applyAttendanceCorrection(classId, date, student, status, reason);
+}
+
+/**
+ * Removes a student's record for a date (e.g. a mark made in error)
+ * The student then counts as absent for that day
+ * The change is recorded in the attendance audit log
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} student - Roster entry ({ uid, name })
+ * @param {string} reason - Why the record is being removed
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function removeAttendanceRecord(classId, date, student, reason) {
+  return applyAttendanceCorrection(classId, date, student, null, reason);
+}
+
+/**
+ * Gets the attendance corrections made for dates within a range
+ * @param {string} classId - Class ID
+ * @param {string} startDate - First date, YYYY-MM-DD (inclusive)
+ * @param {string} endDate - Last date, YYYY-MM-DD (inclusive)
+ * @returns {Promise<Array>} - Audit entries, newest change first:
+ *   [{ id, date, studentId, studentName, previousStatus, newStatus, reason, changedBy, changedByName, timestamp }]
+ */
+async function getAttendanceAudit(classId, startDate, endDate) {
+  if (!classId || !startDate || !endDate) return [];
+
+  try {
+    const snapshot = await auditCollection(classId)
+      .where('date', '>=', startDate)
+      .where('date', '<=', endDate)
+      .get();
+
+    const entries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    entries.sort((a, b) => {
+      const aTime = a.timestamp ? a.timestamp.toMillis() : Date.now();
+      const bTime = b.timestamp ? b.timestamp.toMillis() : Date.now();
+      return bTime - aTime;
+    });
+    return entries;
+  } catch (error) {
+    console.error('Error getting attendance audit:', error);
+    return [];
+  }
+}
+
+/**
+ * Records an explicit 'absent' status for every linked roster student
+ * who has no record for the date
+ * @param {string} classId - Class ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ */
+async function recordAbsences(classId, date) {
+  try {
+    const [rosterSnapshot, dateDoc] = await Promise.all([
+      window.classesModule.classCollection(classId, 'roster').get(),
+      attendanceCollection(classId).doc(date).get()
+    ]);
+    const roster = rosterSnapshot.docs.map(doc => doc.data());
+
+    const absences = {};
+    window.absencesModule.findAbsentStudents(roster, dateDoc.exists ? dateDoc.data() : null).forEach((student) => {
+      absences[student.uid] = {
+        name: student.name || '',
+        status: 'absent',
+        markedAt: backend.FieldValue.serverTimestamp()
+      };
+    });
+
+    if (Object.keys(absences).length > 0) {
+      const batch = db.batch();
+      batch.set(attendanceCollection(classId).doc(date), { records: absences }, { merge: true });
+      Object.keys(absences).forEach((uid) => {
+        batch.set(studentAttendanceRef(classId, uid), studentAttendanceDay(date, { status: 'absent' }), { merge: true });
+      });
+      await batch.commit();
+    }
+  } catch (error) {
+    console.error('Error recording absences:', error);
+  }
+}
+
+/**
+ * Sets up real-time listener for a day's attendance records
+ * Updates UI when students mark attendance or statuses change
+ * Callback receives [{ uid, name, status, reason, legacy }]
  */
-function watchPresentStudents(date, updateCallback) {
+function watchAttendanceRecords(classId, date, updateCallback) {
   if (!date) date = getCurrentDate();
 
-  return db.collection('attendance').doc(date).onSnapshot((doc) => {
+  return attendanceCollection(classId).doc(date).onSnapshot((doc) => {
     if (doc.exists) {
-      const students = doc.data().students || [];
-      updateCallback(students);
+      updateCallback(getAttendanceEntries(doc.data()));
     } else {
       updateCallback([]);
     }
   }, (error) => {
-    console.error('Error watching present students:', error);
+    console.error('Error watching attendance records:', error);
     updateCallback([]);
   });
 }
 
+/**
+ * Gets a student's status for every day attendance was taken
+ * @param {string} classId - Class ID
+ * @param {string} studentId - Student user ID
+ * @returns {Promise<Object>} - { 'YYYY-MM-DD': { status, reason } }
+ */
+async function getStudentAttendance(classId, studentId) {
+  if (!classId || !studentId) return {};
+
+  try {
+    const doc = await studentAttendanceRef(classId, studentId).get();
+    return doc.exists ? doc.data().days || {} : {};
+  } catch (error) {
+    console.error('Error getting student attendance:', error);
+    return {};
+  }
+}
+
+/**
+ * Sets up real-time listener for a student's own attendance
+ * Callback receives { 'YYYY-MM-DD': { status, reason } }
+ * @returns {Function} - Unsubscribe function
+ */
+function watchStudentAttendance(classId, studentId, updateCallback) {
+  return studentAttendanceRef(classId, studentId).onSnapshot((doc) => {
+    updateCallback(doc.exists ? doc.data().days || {} : {});
+  }, (error) => {
+    console.error('Error watching student attendance:', error);
+    updateCallback({});
+  });
+}
+
+/**
+ * Fills in the studentAttendance documents of a class from the days
+ * recorded before they existed. Runs once per class; a marker in
+ * migrations/studentAttendance_{classId} prevents re-runs.
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ */
+async function migrateStudentAttendance(classId) {
+  const user = window.auth && window.auth.currentUser;
+  if (!user || !classId) return;
+
+  const { error: authError } = await window.permissionsModule.requirePermission('run', 'migration', 'migrate data');
+  if (authError) return;
+
+  const markerRef = db.collection('migrations').doc(`studentAttendance_${classId}`);
+
+  try {
+    const marker = await markerRef.get();
+    if (marker.exists) return;
+
+    const [rosterSnapshot, daysSnapshot] = await Promise.all([
+      window.classesModule.classCollection(classId, 'roster').get(),
+      attendanceCollection(classId).get()
+    ]);
+    const days = daysSnapshot.docs
+      .filter(doc => doc.id !== 'current')
+      .map(doc => ({ date: doc.id, entries: getAttendanceEntries(doc.data()) }));
+
+    // Firestore batches are limited to 500 writes
+    let batch = db.batch();
+    let pending = 0;
+    for (const doc of rosterSnapshot.docs) {
+      const student = doc.data();
+      if (!student.uid || days.length === 0) continue;
+
+      const studentDays = {};
+      days.forEach((day) => {
+        const entry = findStudentEntry(student, day.entries);
+        studentDays[day.date] = entry && entry.reason
+          ? { status: entry.status, reason: entry.reason }
+          : { status: entry ? entry.status : 'absent' };
+      });
+      batch.set(studentAttendanceRef(classId, student.uid), { days: studentDays }, { merge: true });
+      pending++;
+      if (pending === 450) {
+        await batch.commit();
+        batch = db.batch();
+        pending = 0;
+      }
+    }
+    if (pending > 0) {
+      await batch.commit();
+    }
+
+    await markerRef.set({
+      classId: classId,
+      migratedBy: user.uid,
+      timestamp: backend.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    console.error('Error migrating student attendance:', error);
+  }
+}
+
 /**
  * Gets attendance data for a specific date
+ * @param {string} classId - Class ID
  * @param {string} date - Date in YYYY-MM-DD format (defaults to today)
  * @returns {Promise<Object>} - Attendance data
  */
-async function getAttendanceData(date = null) {
+async function getAttendanceData(classId, date = null) {
   if (!date) date = getCurrentDate();
   
   try {
-    const doc = await db.collection('attendance').doc(date).get();
+    const doc = await attendanceCollection(classId).doc(date).get();
     if (doc.exists) {
       return doc.data();
     }
-    return { students: [], status: 'closed' };
+    return { records: {}, status: 'closed' };
   } catch (error) {
     console.error('Error getting attendance data:', error);
-    return { students: [], status: 'closed' };
+    return { records: {}, status: 'closed' };
   }
 }
 
 /**
- * Client-side timer for UI updates (complementary to Firestore-based status)
+ * Gets all attendance days recorded for a class within a date range
+ * Only days on which attendance was taken have a document
+ * @param {string} classId - Class ID
+ * @param {string} startDate - First date, YYYY-MM-DD (inclusive)
+ * @param {string} endDate - Last date, YYYY-MM-DD (inclusive)
+ * @returns {Promise<Array>} - [{ date, entries }] sorted by date (entries from getAttendanceEntries)
  */
-function startAttendanceTimer(durationSeconds) {
-  // Clear any existing timer
-  if (attendanceTimerInterval) {
-    clearInterval(attendanceTimerInterval);
-  }
-
-  let timeLeft = durationSeconds;
-  updateTimerDisplay(timeLeft, true);
-
-  attendanceTimerInterval = setInterval(() => {
-    timeLeft--;
-    if (timeLeft > 0) {
-      updateTimerDisplay(timeLeft, true);
-    } else {
-      updateTimerDisplay(0, false);
-      clearInterval(attendanceTimerInterval);
-      attendanceTimerInterval = null;
-    }
-  }, 1000);
-}
+async function getAttendanceHistory(classId, startDate, endDate) {
+  if (!classId || !startDate || !endDate) return [];
 
-/**
- * Updates the timer display in the UI
- */
-function updateTimerDisplay(seconds, isOpen) {
-  const timerDisplay = document.getElementById('timerDisplay');
-  if (!timerDisplay) return;
-
-  if (isOpen && seconds > 0) {
-    timerDisplay.innerHTML = `<span class="bg-green-500 text-white px-3 py-1 rounded-full text-sm">Attendance Open: ${seconds}s</span>`;
-  } else {
-    timerDisplay.innerHTML = `<span class="bg-red-500 text-white px-3 py-1 rounded-full text-sm">Attendance Closed</span>`;
+  try {
+    const documentId = backend.FieldPath.documentId();
+    const snapshot = await attendanceCollection(classId)
+      .where(documentId, '>=', startDate)
+      .where(documentId, '<=', endDate)
+      .get();
+
+    const days = [];
+    snapshot.forEach((doc) => {
+      days.push({
+        date: doc.id,
+        entries: getAttendanceEntries(doc.data())
+      });
+    });
+    days.sort((a, b) => a.date.localeCompare(b.date));
+    return days;
+  } catch (error) {
+    console.error('Error getting attendance history:', error);
+    return [];
   }
 }
 
@@ -306,9 +770,23 @@ window.attendanceModule = {
   openAttendance,
   closeAttendance,
   markStudentPresent,
+  startCodeRotation,
+  stopCodeRotation,
+  setAttendanceStatus,
+  removeAttendanceRecord,
+  getAttendanceAudit,
   watchAttendanceStatus,
-  watchPresentStudents,
+  watchAttendanceRecords,
   getAttendanceData,
+  getStudentAttendance,
+  watchStudentAttendance,
+  migrateStudentAttendance,
+  getAttendanceHistory,
+  getAttendanceEntries,
+  isAttended,
+  findStudentEntry,
+  getStudentStatus,
+  ATTENDANCE_STATUSES,
   getCurrentDate
 };
 
@@ -3,13 +3,29 @@
  * 
  * Handles all authentication and authorization operations:
  * - User login/logout
- * - Role management from Firestore
- * - Route protection
+ * - Role lookups (the signed-in user's role is cached by auth/permissions.js)
+ * - Route protection, including accounts that are pending approval or disabled
  * - User data fetching
  */
 
+// What to tell someone whose account cannot be used (users/{uid}.status)
+const ACCOUNT_STATUS_MESSAGES = {
+  pending: 'Your account is waiting for an administrator to approve it. Please try again once it has been approved.',
+  disabled: 'This account has been disabled. Please contact an administrator.'
+};
+
+/**
+ * Gets the message explaining why an account cannot be used
+ * @param {string} status - Account status ('pending' or 'disabled')
+ * @returns {string|null} - Message, or null for an active account
+ */
+function getAccountStatusMessage(status) {
+  return ACCOUNT_STATUS_MESSAGES[status] || null;
+}
+
 /**
- * Gets the current authenticated user's role from Firestore
+ * Gets the role stored in a user's Firestore profile
+ * For the signed-in user, use permissionsModule.getRole, which is cached
  * @param {string} uid - User ID
  * @returns {Promise<string|null>} - User role or null if not found
  */
@@ -44,6 +60,19 @@ async function getUserData(uid) {
   }
 }
 
+/**
+ * Gets the display name for a user, preferring the name stored in Firestore
+ * @param {Object} user - Firebase user object
+ * @returns {Promise<string>} - Display name (falls back to the email prefix)
+ */
+async function getDisplayName(user) {
+  const userData = await getUserData(user.uid);
+  if (userData && userData.name) {
+    return userData.name;
+  }
+  return user.email ? user.email.split('@')[0] : 'Unknown';
+}
+
 /**
  * Logs in a user with email and password
  * @param {string} email - User email
@@ -55,16 +84,17 @@ async function login(email, password) {
     const userCredential = await auth.signInWithEmailAndPassword(email, password);
     const uid = userCredential.user.uid;
     
-    // Fetch user role from Firestore
-    const role = await getUserRole(uid);
+    // Resolve the user's role (custom claims, or the Firestore profile)
+    const role = await window.permissionsModule.getRole();
     
     if (!role) {
-      // User exists but has no role assigned
+      // Pending approval, disabled, or no role assigned
+      const status = await window.permissionsModule.getAccountStatus();
       await auth.signOut();
       return {
         success: false,
         role: null,
-        error: 'No role assigned. Please contact administrator.'
+        error: getAccountStatusMessage(status) || 'No role assigned. Please contact administrator.'
       };
     }
     
@@ -84,7 +114,7 @@ async function login(email, password) {
     } else if (error.code === 'auth/invalid-email') {
       errorMessage = 'Invalid email address.';
     } else if (error.code === 'auth/user-disabled') {
-      errorMessage = 'This account has been disabled.';
+      errorMessage = getAccountStatusMessage('disabled');
     }
     
     return {
@@ -106,14 +136,15 @@ async function logout() {
     window.location.href = 'login.html';
   } catch (error) {
     console.error('Error logging out:', error);
-    alert('Error logging out. Please try again.');
+    window.toastModule.showToast('Error logging out. Please try again.', { type: 'error' });
   }
 }
 
 /**
  * Checks if user is authenticated and has required role
- * @param {string} requiredRole - Required role ('teacher', 'student', or 'parent')
- * @returns {Promise<Object>} - { authorized: boolean, user: Object|null, role: string|null }
+ * @param {string} requiredRole - Required role ('admin', 'teacher', 'student', or 'parent')
+ * @returns {Promise<Object>} - { authorized: boolean, user: Object|null, role: string|null,
+ *   status: string|null } where status is the account status ('active', 'pending' or 'disabled')
  */
 async function checkAuthAndRole(requiredRole) {
   return new Promise((resolve) => {
@@ -121,35 +152,51 @@ async function checkAuthAndRole(requiredRole) {
     auth.onAuthStateChanged(async (user) => {
       if (!user) {
         // Not authenticated
-        resolve({ authorized: false, user: null, role: null });
+        resolve({ authorized: false, user: null, role: null, status: null });
         return;
       }
       
-      // Fetch user role
-      const role = await getUserRole(user.uid);
+      // Resolve user role (cached for the rest of the session)
+      const role = await window.permissionsModule.getRole();
+      const status = await window.permissionsModule.getAccountStatus();
       
       if (!role) {
-        // User has no role
-        resolve({ authorized: false, user: null, role: null });
+        // User has no role, or the account is pending or disabled
+        resolve({ authorized: false, user: null, role: null, status: status });
         return;
       }
       
       if (role !== requiredRole) {
         // Wrong role
-        resolve({ authorized: false, user: user, role: role });
+        resolve({ authorized: false, user: user, role: role, status: status });
         return;
       }
       
       // Authorized
       const userData = await getUserData(user.uid);
-      resolve({ authorized: true, user: userData, role: role });
+      resolve({ authorized: true, user: userData, role: role, status: status });
     });
   });
 }
 
+/**
+ * Signs out an account that is pending approval or disabled and sends it to
+ * the login page, which explains why (login.html?account=<status>)
+ * @param {string} status - Account status
+ */
+async function leaveInactiveAccount(status) {
+  try {
+    await auth.signOut();
+  } catch (error) {
+    console.error('Error signing out:', error);
+  }
+  window.location.href = `login.html?account=${encodeURIComponent(status)}`;
+}
+
 /**
  * Protects a route by checking authentication and role
- * Redirects to login if unauthorized
+ * Redirects to login if unauthorized; accounts pending approval or disabled
+ * are signed out and told why
  * @param {string} requiredRole - Required role for this page
  * @param {Function} onAuthorized - Callback when user is authorized (receives user data)
  */
@@ -157,11 +204,28 @@ async function protectRoute(requiredRole, onAuthorized) {
   const authCheck = await checkAuthAndRole(requiredRole);
   
   if (!authCheck.authorized) {
+    if (getAccountStatusMessage(authCheck.status)) {
+      await leaveInactiveAccount(authCheck.status);
+      return;
+    }
     // Redirect to login
     window.location.href = 'login.html';
     return;
   }
   
+  // Leave the page if the role changes while it is open (or an admin
+  // disables the account); the login page sends the user on to the portal
+  // for their new role
+  window.permissionsModule.onRoleChange(async (role) => {
+    if (role === requiredRole) return;
+    const status = await window.permissionsModule.getAccountStatus();
+    if (getAccountStatusMessage(status)) {
+      await leaveInactiveAccount(status);
+    } else {
+      window.location.href = 'login.html';
+    }
+  });
+
   // User is authorized, call callback with user data
   if (onAuthorized && typeof onAuthorized === 'function') {
     onAuthorized(authCheck.user);
@@ -204,6 +268,8 @@ window.authModule = {
   logout,
   getUserRole,
   getUserData,
+  getDisplayName,
+  getAccountStatusMessage,
   checkAuthAndRole,
   protectRoute,
   getCurrentUser,
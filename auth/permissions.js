@@ -0,0 +1,316 @@
+/**
+ * Permissions Module
+ *
+ * Decides what the signed-in user may do, for the portal pages and for the
+ * module functions that write on their behalf:
+ * - The role and account status are resolved once per sign-in and cached.
+ *   They come from the Firebase Auth custom claims (set from users/{uid} by
+ *   the syncRoleClaims Cloud Function), which are read from the ID token the
+ *   SDK already holds. Accounts the function has not reached yet, and the
+ *   in-memory backend, fall back to the users/{uid} profile
+ * - Only active accounts have a role: teacher signups stay 'pending' until
+ *   an admin approves them, and admins can set an account to 'disabled'
+ * - can(action, resource) checks an action against PERMISSIONS
+ * - The profile is watched while signed in; when the role or status changes
+ *   the ID token is refreshed (so the security rules see the new claims too)
+ *   and onRoleChange listeners are called
+ *
+ * The security rules (firestore.rules) make the same checks on the server.
+ */
+
+// Roles allowed to perform each action, by resource type
+const PERMISSIONS = {
+  class: {
+    create: ['teacher'],
+    update: ['teacher'],
+    manageRoster: ['teacher']
+  },
+  attendance: {
+    open: ['teacher'],
+    close: ['teacher'],
+    mark: ['student'],
+    correct: ['teacher']
+  },
+  assignment: {
+    create: ['teacher'],
+    update: ['teacher']
+  },
+  submission: {
+    create: ['student'],
+    grade: ['teacher']
+  },
+  notice: {
+    post: ['teacher'],
+    update: ['teacher']
+  },
+  reminder: {
+    send: ['teacher']
+  },
+  // Class join codes for students (enrolment.js)
+  joinCode: {
+    create: ['teacher'],
+    revoke: ['teacher'],
+    redeem: ['student']
+  },
+  // Parent link codes (parents.js)
+  linkCode: {
+    create: ['teacher'],
+    revoke: ['teacher'],
+    redeem: ['parent']
+  },
+  conversation: {
+    send: ['parent'],
+    reply: ['teacher'],
+    update: ['teacher']
+  },
+  // Moving older data into the current layout
+  migration: {
+    run: ['teacher']
+  },
+  // Other people's accounts (admin.html)
+  user: {
+    list: ['admin'],
+    approve: ['admin'],
+    update: ['admin']
+  }
+};
+
+// Account statuses; accounts without one are active
+const ACCOUNT_STATUSES = ['active', 'pending', 'disabled'];
+
+// Role and status of the signed-in user; fromClaims tells where they were read from
+let roleState = { uid: null, role: null, status: null, fromClaims: false, resolved: false };
+let rolePromise = null;
+let profileUnsubscribe = null;
+const roleListeners = new Set();
+
+/**
+ * Forgets the cached role (sign-out or a different account signing in)
+ */
+function clearRoleCache() {
+  if (profileUnsubscribe) {
+    profileUnsubscribe();
+    profileUnsubscribe = null;
+  }
+  roleState = { uid: null, role: null, status: null, fromClaims: false, resolved: false };
+  rolePromise = null;
+}
+
+/**
+ * Gets the role an account acts with: its role while active, otherwise none
+ * @param {Object} state - { role, status }
+ * @returns {string|null}
+ */
+function activeRole(state) {
+  return state.status === 'active' ? state.role : null;
+}
+
+/**
+ * Records the signed-in user's role and status and tells listeners if the
+ * role they act with changed
+ * @param {string} uid - User ID
+ * @param {string|null} role - New role
+ * @param {string|null} status - New account status
+ * @param {boolean} fromClaims - Whether they came from the custom claims
+ */
+function setRole(uid, role, status, fromClaims) {
+  if (roleState.uid !== uid) return;
+  const previous = activeRole(roleState);
+  const wasResolved = roleState.resolved;
+  roleState = { uid: uid, role: role, status: status, fromClaims: fromClaims, resolved: true };
+
+  const current = activeRole(roleState);
+  if (wasResolved && previous !== current) {
+    roleListeners.forEach(callback => callback(current, previous));
+  }
+}
+
+/**
+ * Watches the signed-in user's profile for role and status changes
+ * Values read from the claims only change once syncRoleClaims has copied
+ * them across (profile.claimsRole and claimsStatus); the token is then refreshed
+ * @param {Object} user - Firebase user object
+ */
+function watchRole(user) {
+  profileUnsubscribe = db.collection('users').doc(user.uid).onSnapshot(async (doc) => {
+    const profile = doc.exists ? doc.data() : {};
+    const role = profile.role || null;
+    const status = doc.exists ? profile.status || 'active' : null;
+    if (roleState.uid !== user.uid || (role === roleState.role && status === roleState.status)) return;
+
+    if (roleState.fromClaims) {
+      if (profile.claimsRole !== role || (profile.claimsStatus || 'active') !== status) return;
+      try {
+        await user.getIdToken(true);
+      } catch (error) {
+        console.error('Error refreshing ID token:', error);
+      }
+    }
+    setRole(user.uid, role, status, roleState.fromClaims);
+  }, (error) => {
+    console.error('Error watching role:', error);
+  });
+}
+
+/**
+ * Reads the role and status for a user: the custom claims, or the profile
+ * without them
+ * @param {Object} user - Firebase user object
+ * @returns {Promise<{role: string|null, status: string|null, fromClaims: boolean}>}
+ */
+async function readRole(user) {
+  try {
+    const token = await user.getIdTokenResult();
+    if (token.claims && token.claims.role) {
+      return { role: token.claims.role, status: token.claims.status || 'active', fromClaims: true };
+    }
+  } catch (error) {
+    console.error('Error reading custom claims:', error);
+  }
+
+  const profile = window.authModule ? await window.authModule.getUserData(user.uid) : null;
+  return {
+    role: profile ? profile.role || null : null,
+    status: profile ? profile.status || 'active' : null,
+    fromClaims: false
+  };
+}
+
+/**
+ * Resolves the signed-in user's role and status on first use
+ * @returns {Promise<Object|null>} - roleState, or null if signed out
+ */
+async function resolveRole() {
+  const user = window.auth && window.auth.currentUser;
+  if (!user) return null;
+
+  if (roleState.uid !== user.uid) {
+    clearRoleCache();
+  }
+  if (roleState.resolved) {
+    return roleState;
+  }
+
+  if (!rolePromise) {
+    roleState.uid = user.uid;
+    rolePromise = readRole(user).then(({ role, status, fromClaims }) => {
+      if (roleState.uid === user.uid && !roleState.resolved) {
+        setRole(user.uid, role, status, fromClaims);
+        watchRole(user);
+      }
+      return roleState.uid === user.uid ? roleState : null;
+    });
+  }
+  return rolePromise;
+}
+
+/**
+ * Gets the signed-in user's role, resolving it on first use
+ * @returns {Promise<string|null>} - Role, or null if signed out, without a
+ *   role, or the account is pending or disabled (see getAccountStatus)
+ */
+async function getRole() {
+  const state = await resolveRole();
+  return state ? activeRole(state) : null;
+}
+
+/**
+ * Gets the signed-in user's account status, resolving it on first use
+ * @returns {Promise<string|null>} - 'active', 'pending' or 'disabled', or
+ *   null if signed out or without a profile
+ */
+async function getAccountStatus() {
+  const state = await resolveRole();
+  return state ? state.status : null;
+}
+
+/**
+ * Gets the roles allowed to perform an action
+ * @param {string} action - Action (e.g. 'create')
+ * @param {string|Object} resource - Resource type (e.g. 'assignment'), or an object with a type
+ * @returns {Array<string>}
+ */
+function getAllowedRoles(action, resource) {
+  const type = typeof resource === 'string' ? resource : resource && resource.type;
+  return (PERMISSIONS[type] && PERMISSIONS[type][action]) || [];
+}
+
+/**
+ * Checks whether the signed-in user may perform an action
+ * Uses the cached role, so it is false until getRole has resolved
+ * @param {string} action - Action (e.g. 'grade')
+ * @param {string|Object} resource - Resource type (e.g. 'submission'), or an
+ *   object with a type; an object with an ownerId must belong to the user
+ * @returns {boolean}
+ */
+function can(action, resource) {
+  const user = window.auth && window.auth.currentUser;
+  if (!user || roleState.uid !== user.uid || !roleState.resolved) return false;
+  if (!getAllowedRoles(action, resource).includes(activeRole(roleState))) return false;
+
+  if (resource && typeof resource === 'object' && resource.ownerId !== undefined) {
+    return resource.ownerId === user.uid;
+  }
+  return true;
+}
+
+/**
+ * Checks that the signed-in user may perform an action, for module functions
+ * @param {string} action - Action (e.g. 'create')
+ * @param {string|Object} resource - Resource type or object (see can)
+ * @param {string} description - What they are trying to do, e.g. 'submit work'
+ * @returns {Promise<{user: Object|null, error: Object|null}>} - The signed-in
+ *   user, or a NOT_AUTHENTICATED / NOT_AUTHORIZED failure (see results.js)
+ */
+async function requirePermission(action, resource, description) {
+  const user = window.auth && window.auth.currentUser;
+  if (!user) {
+    return { user: null, error: window.resultsModule.failure('NOT_AUTHENTICATED', `You must be logged in to ${description}.`) };
+  }
+
+  const status = await getAccountStatus();
+  if (status === 'pending' || status === 'disabled') {
+    return { user: null, error: window.resultsModule.failure('NOT_AUTHORIZED', window.authModule.getAccountStatusMessage(status)) };
+  }
+  if (!can(action, resource)) {
+    const roles = getAllowedRoles(action, resource);
+    const message = roles.length > 0
+      ? `Only ${roles.map(role => `${role}s`).join(' and ')} can ${description}.`
+      : `You cannot ${description}.`;
+    return { user: null, error: window.resultsModule.failure('NOT_AUTHORIZED', message) };
+  }
+
+  return { user: user, error: null };
+}
+
+/**
+ * Calls back when the role the signed-in user acts with changes (e.g. an
+ * admin changed it, approved the account or disabled it)
+ * @param {Function} callback - Receives (role, previousRole); role is null
+ *   once the account is no longer active
+ * @returns {Function} - Unsubscribe function
+ */
+function onRoleChange(callback) {
+  roleListeners.add(callback);
+  return () => roleListeners.delete(callback);
+}
+
+// Drop the cached role when the user signs out or switches account
+if (window.auth) {
+  auth.onAuthStateChanged((user) => {
+    if (!user || user.uid !== roleState.uid) {
+      clearRoleCache();
+    }
+  });
+}
+
+// Export functions for use in other modules
+window.permissionsModule = {
+  PERMISSIONS,
+  ACCOUNT_STATUSES,
+  getRole,
+  getAccountStatus,
+  can,
+  requirePermission,
+  onRoleChange
+};
@@ -0,0 +1,97 @@
+/**
+ * Data Backend Module
+ *
+ * The portal modules never call the Firebase SDK themselves: they use the
+ * backend chosen in firebase.js through these globals:
+ * - window.db: documents and queries
+ * - window.auth: accounts and sign-in state
+ * - window.storage: submission attachment files (null if unavailable)
+ * - window.backend: the backend itself, for FieldValue, FieldPath and Timestamp
+ *
+ * A backend is an object with:
+ * - name: 'firestore' or 'memory'
+ * - db: the part of the Firestore compat API the modules use; collection
+ *   and doc references (with parent), collectionGroup, where/orderBy/limit
+ *   queries, get/set/update/delete/add, onSnapshot listeners, batch() and
+ *   runTransaction()
+ * - auth: currentUser, onAuthStateChanged, signInWithEmailAndPassword,
+ *   createUserWithEmailAndPassword and signOut
+ * - storage: ref(path) with put, getDownloadURL and delete, or null
+ * - FieldValue: serverTimestamp, increment, delete, arrayUnion, arrayRemove
+ * - FieldPath: new FieldPath(...segments) and FieldPath.documentId()
+ * - Timestamp: now, fromDate and fromMillis, giving values with toDate and toMillis
+ *
+ * Two backends are available: Firestore (createFirestoreBackend, the
+ * default) and an in-memory store for Node tests and the offline demo mode
+ * (createMemoryBackend in backend/memory.js). The in-memory backend also has
+ * admin.setCustomUserClaims and admin.updateUser (disabled only), so tests
+ * can do what the Cloud Functions do.
+ */
+
+/**
+ * Creates the backend for a Firebase project (Firestore, Firebase Auth and,
+ * on pages that load its SDK, Cloud Storage)
+ * @param {Object} config - Firebase project configuration
+ * @param {Object} [options] - { emulators: use the local Firebase emulators }
+ * @returns {Object} - Backend
+ */
+function createFirestoreBackend(config, options = {}) {
+  // Initialize Firebase (only if not already initialized)
+  if (!firebase.apps.length) {
+    firebase.initializeApp(config);
+  }
+
+  const db = firebase.firestore();
+  const auth = firebase.auth();
+  const storage = firebase.storage ? firebase.storage() : null;
+
+  if (options.emulators) {
+    db.useEmulator('localhost', 8080);
+    auth.useEmulator('http://localhost:9099');
+    if (storage) {
+      storage.useEmulator('localhost', 9199);
+    }
+    console.warn('Using local Firebase emulators');
+  }
+
+  // Enable Firestore persistence for offline support (optional but recommended)
+  db.enablePersistence().catch((err) => {
+    if (err.code === 'failed-precondition') {
+      // Multiple tabs open, persistence can only be enabled in one tab at a time.
+      console.warn('Firestore persistence failed: Multiple tabs open');
+    } else if (err.code === 'unimplemented') {
+      // The current browser does not support persistence
+      console.warn('Firestore persistence not available in this browser');
+    }
+  });
+
+  return {
+    name: 'firestore',
+    db: db,
+    auth: auth,
+    storage: storage,
+    FieldValue: firebase.firestore.FieldValue,
+    FieldPath: firebase.firestore.FieldPath,
+    Timestamp: firebase.firestore.Timestamp
+  };
+}
+
+/**
+ * Makes a backend the one every module uses
+ * Call before the modules run any query (firebase.js does this on page load)
+ * @param {Object} backend - Backend from createFirestoreBackend or createMemoryBackend
+ * @returns {Object} - The same backend
+ */
+function useBackend(backend) {
+  window.backend = backend;
+  window.db = backend.db;
+  window.auth = backend.auth;
+  window.storage = backend.storage || null;
+  return backend;
+}
+
+// Export functions for use in firebase.js and tests
+window.backendModule = {
+  createFirestoreBackend,
+  useBackend
+};
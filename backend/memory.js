@@ -0,0 +1,840 @@
+/**
+ * In-Memory Backend Module
+ *
+ * Implements the data backend (see backend/backend.js) with plain objects,
+ * so the modules run without a Firebase project:
+ * - In Node tests: set global.window = global, require this file, and pass
+ *   createMemoryBackend() to useBackend before requiring the modules
+ * - In the browser's offline demo mode (open any page with ?backend=memory),
+ *   where the data is kept in localStorage so it survives page changes
+ *
+ * Documents, queries, snapshot listeners, batches and transactions behave
+ * like Firestore's for the features the modules use. Security rules are
+ * not applied: every signed-in user can read and write everything, and
+ * uploaded files only last until the page is closed.
+ */
+
+// Characters used for generated document IDs (like Firestore's)
+const MEMORY_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * A point in time, with the same methods as a Firestore Timestamp
+ */
+class MemoryTimestamp {
+  constructor(seconds, nanoseconds) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }
+
+  static now() {
+    return MemoryTimestamp.fromMillis(Date.now());
+  }
+
+  static fromDate(date) {
+    return MemoryTimestamp.fromMillis(date.getTime());
+  }
+
+  static fromMillis(milliseconds) {
+    const seconds = Math.floor(milliseconds / 1000);
+    return new MemoryTimestamp(seconds, Math.round((milliseconds - seconds * 1000) * 1e6));
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  isEqual(other) {
+    return other instanceof MemoryTimestamp
+      && other.seconds === this.seconds
+      && other.nanoseconds === this.nanoseconds;
+  }
+}
+
+/**
+ * A special value resolved when a write is applied (server time, increment, ...)
+ */
+class MemoryFieldValue {
+  constructor(kind, operand) {
+    this.kind = kind;
+    this.operand = operand;
+  }
+
+  static serverTimestamp() {
+    return new MemoryFieldValue('serverTimestamp');
+  }
+
+  static increment(n) {
+    return new MemoryFieldValue('increment', n);
+  }
+
+  static delete() {
+    return new MemoryFieldValue('delete');
+  }
+
+  static arrayUnion(...elements) {
+    return new MemoryFieldValue('arrayUnion', elements);
+  }
+
+  static arrayRemove(...elements) {
+    return new MemoryFieldValue('arrayRemove', elements);
+  }
+}
+
+/**
+ * A field path made of segments, for field names containing dots or
+ * user IDs; documentId() refers to the document's ID in queries
+ */
+class MemoryFieldPath {
+  constructor(...segments) {
+    this.segments = segments;
+  }
+
+  static documentId() {
+    return new MemoryFieldPath('__name__');
+  }
+}
+
+/**
+ * Creates an error with a Firestore/Auth style code
+ */
+function memoryError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Generates a random document ID
+ */
+function generateMemoryId() {
+  let id = '';
+  for (let i = 0; i < 20; i++) {
+    id += MEMORY_ID_CHARS[Math.floor(Math.random() * MEMORY_ID_CHARS.length)];
+  }
+  return id;
+}
+
+/**
+ * Checks for a plain object (not a timestamp, special value, Date or file)
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Copies a stored value so callers cannot change the store
+ */
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (isPlainObject(value)) {
+    const copy = {};
+    Object.keys(value).forEach(key => { copy[key] = cloneValue(value[key]); });
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Converts a value to plain JSON (timestamps become { __timestamp: ms })
+ */
+function encodeValue(value) {
+  if (value instanceof MemoryTimestamp) return { __timestamp: value.toMillis() };
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (isPlainObject(value)) {
+    const encoded = {};
+    Object.keys(value).forEach(key => { encoded[key] = encodeValue(value[key]); });
+    return encoded;
+  }
+  return value;
+}
+
+/**
+ * Reverses encodeValue
+ */
+function decodeValue(value) {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (isPlainObject(value)) {
+    if (typeof value.__timestamp === 'number') return MemoryTimestamp.fromMillis(value.__timestamp);
+    const decoded = {};
+    Object.keys(value).forEach(key => { decoded[key] = decodeValue(value[key]); });
+    return decoded;
+  }
+  return value;
+}
+
+/**
+ * Gets a value's place in Firestore's ordering of types
+ */
+function valueType(value) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  if (value instanceof MemoryTimestamp) return 3;
+  if (typeof value === 'string') return 4;
+  if (Array.isArray(value)) return 5;
+  return 6;
+}
+
+/**
+ * Orders values the way Firestore does: by type, then by value
+ */
+function compareValues(a, b) {
+  const typeA = valueType(a);
+  const typeB = valueType(b);
+  if (typeA !== typeB) return typeA - typeB;
+
+  switch (typeA) {
+    case 0:
+      return 0;
+    case 1:
+    case 2:
+      return a === b ? 0 : (a < b ? -1 : 1);
+    case 3:
+      return a.toMillis() - b.toMillis() || a.nanoseconds - b.nanoseconds;
+    case 4:
+      return a === b ? 0 : (a < b ? -1 : 1);
+    case 5:
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = compareValues(a[i], b[i]);
+        if (result !== 0) return result;
+      }
+      return a.length - b.length;
+    default: {
+      const keysA = Object.keys(a).sort();
+      const keysB = Object.keys(b).sort();
+      for (let i = 0; i < Math.min(keysA.length, keysB.length); i++) {
+        if (keysA[i] !== keysB[i]) return keysA[i] < keysB[i] ? -1 : 1;
+        const result = compareValues(a[keysA[i]], b[keysB[i]]);
+        if (result !== 0) return result;
+      }
+      return keysA.length - keysB.length;
+    }
+  }
+}
+
+/**
+ * Checks whether two values are equal as Firestore compares them
+ */
+function valuesEqual(a, b) {
+  return compareValues(a, b) === 0;
+}
+
+/**
+ * Splits a field ('a.b' or a FieldPath) into its segments
+ */
+function fieldSegments(field) {
+  return field instanceof MemoryFieldPath ? field.segments : String(field).split('.');
+}
+
+/**
+ * Reads a (possibly nested) field of a document; undefined if missing
+ */
+function readField(id, data, segments) {
+  if (segments.length === 1 && segments[0] === '__name__') return id;
+  let value = data;
+  for (const segment of segments) {
+    if (!isPlainObject(value) || !(segment in value)) return undefined;
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * Resolves a special value against the field's current value
+ * Returns undefined when the field should be removed
+ */
+function resolveFieldValue(value, current, now) {
+  if (!(value instanceof MemoryFieldValue)) return resolveValue(value, now);
+
+  switch (value.kind) {
+    case 'serverTimestamp':
+      return now;
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + value.operand;
+    case 'arrayUnion': {
+      const array = Array.isArray(current) ? [...current] : [];
+      value.operand.forEach(element => {
+        if (!array.some(existing => valuesEqual(existing, element))) array.push(cloneValue(element));
+      });
+      return array;
+    }
+    case 'arrayRemove':
+      return (Array.isArray(current) ? current : [])
+        .filter(existing => !value.operand.some(element => valuesEqual(existing, element)));
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Copies data for storing: resolves special values and turns Dates into timestamps
+ */
+function resolveValue(value, now) {
+  if (value instanceof Date) return MemoryTimestamp.fromDate(value);
+  if (value instanceof MemoryFieldValue) return resolveFieldValue(value, undefined, now);
+  if (Array.isArray(value)) return value.map(element => resolveValue(element, now));
+  if (isPlainObject(value)) {
+    const resolved = {};
+    Object.keys(value).forEach(key => {
+      const field = resolveValue(value[key], now);
+      if (field !== undefined) resolved[key] = field;
+    });
+    return resolved;
+  }
+  return value;
+}
+
+/**
+ * Merges data into a document the way set(..., { merge: true }) does
+ */
+function mergeData(target, data, now) {
+  const merged = isPlainObject(target) ? { ...target } : {};
+  Object.keys(data).forEach(key => {
+    const value = data[key];
+    if (isPlainObject(value)) {
+      merged[key] = mergeData(merged[key], value, now);
+      return;
+    }
+    const resolved = resolveFieldValue(value, merged[key], now);
+    if (resolved === undefined) {
+      delete merged[key];
+    } else {
+      merged[key] = resolved;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Sets a nested field the way update() does
+ */
+function updateField(target, segments, value, now) {
+  const [first, ...rest] = segments;
+  const updated = isPlainObject(target) ? { ...target } : {};
+  if (rest.length > 0) {
+    updated[first] = updateField(updated[first], rest, value, now);
+    return updated;
+  }
+  const resolved = resolveFieldValue(value, updated[first], now);
+  if (resolved === undefined) {
+    delete updated[first];
+  } else {
+    updated[first] = resolved;
+  }
+  return updated;
+}
+
+/**
+ * Turns update()'s arguments ({ field: value } or field, value, ...) into pairs
+ */
+function updatePairs(args) {
+  if (args.length === 1 && isPlainObject(args[0])) {
+    return Object.keys(args[0]).map(key => [fieldSegments(key), args[0][key]]);
+  }
+  const pairs = [];
+  for (let i = 0; i < args.length; i += 2) {
+    pairs.push([fieldSegments(args[i]), args[i + 1]]);
+  }
+  return pairs;
+}
+
+/**
+ * Checks whether a document matches one where() filter
+ */
+function matchesFilter(id, data, filter) {
+  const value = readField(id, data, filter.segments);
+  const operand = filter.value instanceof Date ? MemoryTimestamp.fromDate(filter.value) : filter.value;
+  if (value === undefined) return false;
+
+  switch (filter.op) {
+    case '==':
+      return valuesEqual(value, operand);
+    case '!=':
+      return value !== null && !valuesEqual(value, operand);
+    case '<':
+    case '<=':
+    case '>':
+    case '>=': {
+      // Like Firestore, range filters only match values of the same type
+      if (valueType(value) !== valueType(operand)) return false;
+      const result = compareValues(value, operand);
+      if (filter.op === '<') return result < 0;
+      if (filter.op === '<=') return result <= 0;
+      if (filter.op === '>') return result > 0;
+      return result >= 0;
+    }
+    case 'in':
+      return operand.some(element => valuesEqual(value, element));
+    case 'not-in':
+      return value !== null && !operand.some(element => valuesEqual(value, element));
+    case 'array-contains':
+      return Array.isArray(value) && value.some(element => valuesEqual(element, operand));
+    case 'array-contains-any':
+      return Array.isArray(value) && value.some(element => operand.some(o => valuesEqual(element, o)));
+    default:
+      throw memoryError('invalid-argument', `Unsupported query operator: ${filter.op}`);
+  }
+}
+
+/**
+ * Creates an in-memory backend
+ * @param {Object} [options] - { storageKey: keep the data in localStorage under
+ *   this key (browser demo mode), storageArea: Storage to use instead of localStorage }
+ * @returns {Object} - Backend (see backend/backend.js)
+ */
+function createMemoryBackend(options = {}) {
+  // path -> document data, e.g. 'classes/abc/notices/xyz' -> { text, ... }
+  let documents = new Map();
+  const authState = { users: {}, currentUid: null };
+  const listeners = new Set();
+  const files = new Map();
+
+  const storageArea = options.storageKey
+    ? (options.storageArea || (typeof localStorage !== 'undefined' ? localStorage : null))
+    : null;
+  // The signed-in user belongs to the browser tab, so each tab can be a
+  // different user (e.g. a teacher and a student side by side)
+  const sessionArea = storageArea && typeof sessionStorage !== 'undefined' ? sessionStorage : null;
+  const sessionKey = `${options.storageKey}.user`;
+
+  function load() {
+    if (!storageArea) return;
+    try {
+      const saved = JSON.parse(storageArea.getItem(options.storageKey) || 'null');
+      if (saved) {
+        documents = new Map(Object.entries(saved.documents || {}).map(([path, data]) => [path, decodeValue(data)]));
+        authState.users = saved.users || {};
+      }
+      authState.currentUid = sessionArea ? sessionArea.getItem(sessionKey) : authState.currentUid;
+    } catch (error) {
+      console.warn('Could not load saved demo data:', error);
+    }
+  }
+
+  function save() {
+    if (!storageArea) return;
+    const encoded = {};
+    documents.forEach((data, path) => { encoded[path] = encodeValue(data); });
+    try {
+      storageArea.setItem(options.storageKey, JSON.stringify({ documents: encoded, users: authState.users }));
+      if (sessionArea) {
+        if (authState.currentUid) {
+          sessionArea.setItem(sessionKey, authState.currentUid);
+        } else {
+          sessionArea.removeItem(sessionKey);
+        }
+      }
+    } catch (error) {
+      console.warn('Could not save demo data:', error);
+    }
+  }
+
+  load();
+
+  // Other tabs in demo mode write to the same storage; pick up their changes
+  if (storageArea && typeof window !== 'undefined' && window.addEventListener) {
+    window.addEventListener('storage', (event) => {
+      if (event.key !== options.storageKey) return;
+      load();
+      notifyListeners();
+    });
+  }
+
+  // ---------- Snapshots ----------
+
+  function docSnapshot(ref, data) {
+    return {
+      id: ref.id,
+      ref: ref,
+      exists: data !== undefined,
+      metadata: { hasPendingWrites: false, fromCache: false },
+      data: () => (data === undefined ? undefined : cloneValue(data)),
+      get: (field) => cloneValue(readField(ref.id, data || {}, fieldSegments(field)))
+    };
+  }
+
+  function querySnapshot(docs) {
+    return {
+      docs: docs,
+      size: docs.length,
+      empty: docs.length === 0,
+      metadata: { hasPendingWrites: false, fromCache: false },
+      forEach: (callback) => docs.forEach(callback)
+    };
+  }
+
+  /**
+   * Runs a query against the current documents
+   */
+  function runQuery(query) {
+    const prefix = `${query.path}/`;
+    let matches = [];
+    documents.forEach((data, path) => {
+      const segments = path.split('/');
+      if (query.group) {
+        // Collection group: every collection with this id, at any depth
+        if (segments[segments.length - 2] !== query.path) return;
+      } else if (!path.startsWith(prefix) || path.slice(prefix.length).includes('/')) {
+        return;
+      }
+      const id = segments[segments.length - 1];
+      if (query.filters.every(filter => matchesFilter(id, data, filter))) {
+        matches.push({ id, path, data });
+      }
+    });
+
+    // Documents without an ordered field are left out, as in Firestore
+    query.orders.forEach(order => {
+      matches = matches.filter(match => readField(match.id, match.data, order.segments) !== undefined);
+    });
+    matches.sort((a, b) => {
+      for (const order of query.orders) {
+        const result = compareValues(
+          readField(a.id, a.data, order.segments),
+          readField(b.id, b.data, order.segments)
+        );
+        if (result !== 0) return order.direction === 'desc' ? -result : result;
+      }
+      const last = query.orders[query.orders.length - 1];
+      const byId = a.id < b.id ? -1 : (a.id > b.id ? 1 : 0);
+      return last && last.direction === 'desc' ? -byId : byId;
+    });
+    if (query.limitCount !== null) {
+      matches = matches.slice(0, query.limitCount);
+    }
+    return matches;
+  }
+
+  /**
+   * Adds a listener, calling back now and after every change to its result
+   */
+  function listen(read, onNext, onError) {
+    const listener = { read, onNext, onError, key: null, active: true };
+    listeners.add(listener);
+    Promise.resolve().then(() => deliver(listener));
+    return () => {
+      listener.active = false;
+      listeners.delete(listener);
+    };
+  }
+
+  function deliver(listener) {
+    if (!listener.active) return;
+    let result;
+    try {
+      result = listener.read();
+    } catch (error) {
+      listener.active = false;
+      listeners.delete(listener);
+      if (listener.onError) {
+        listener.onError(error);
+      } else {
+        console.error('Error in snapshot listener:', error);
+      }
+      return;
+    }
+    if (result.key === listener.key) return;
+    listener.key = result.key;
+    listener.onNext(result.snapshot);
+  }
+
+  function notifyListeners() {
+    Promise.resolve().then(() => listeners.forEach(deliver));
+  }
+
+  // ---------- Writes ----------
+
+  /**
+   * Applies a list of writes all together, or none if one fails
+   * @param {Array} writes - [{ type: 'set'|'update'|'delete', path, data, merge, pairs }]
+   */
+  function commitWrites(writes) {
+    const now = MemoryTimestamp.now();
+    const staged = new Map();
+    const current = (path) => (staged.has(path) ? staged.get(path) : documents.get(path));
+
+    writes.forEach(write => {
+      const existing = current(write.path);
+      if (write.type === 'delete') {
+        staged.set(write.path, undefined);
+      } else if (write.type === 'set') {
+        staged.set(write.path, write.merge ? mergeData(existing, write.data, now) : resolveValue(write.data, now));
+      } else {
+        if (existing === undefined) {
+          throw memoryError('not-found', `No document to update: ${write.path}`);
+        }
+        let updated = existing;
+        write.pairs.forEach(([segments, value]) => {
+          updated = updateField(updated, segments, value, now);
+        });
+        staged.set(write.path, updated);
+      }
+    });
+
+    staged.forEach((data, path) => {
+      if (data === undefined) {
+        documents.delete(path);
+      } else {
+        documents.set(path, data);
+      }
+    });
+    save();
+    notifyListeners();
+  }
+
+  function checkData(data) {
+    if (!isPlainObject(data)) {
+      throw memoryError('invalid-argument', 'Document data must be an object.');
+    }
+  }
+
+  // ---------- References ----------
+
+  function docRef(path) {
+    const segments = path.split('/');
+    const ref = {
+      id: segments[segments.length - 1],
+      path: path,
+      get parent() {
+        return collectionRef(segments.slice(0, -1).join('/'));
+      },
+      collection: (name) => collectionRef(`${path}/${name}`),
+      get: async () => docSnapshot(ref, documents.get(path)),
+      set: async (data, setOptions = {}) => {
+        checkData(data);
+        commitWrites([{ type: 'set', path, data, merge: setOptions.merge === true }]);
+      },
+      update: async (...args) => {
+        commitWrites([{ type: 'update', path, pairs: updatePairs(args) }]);
+      },
+      delete: async () => {
+        commitWrites([{ type: 'delete', path }]);
+      },
+      onSnapshot: (onNext, onError) => listen(() => {
+        const data = documents.get(path);
+        return { snapshot: docSnapshot(ref, data), key: JSON.stringify(encodeValue(data === undefined ? null : data)) };
+      }, onNext, onError),
+      isEqual: (other) => other && other.path === path
+    };
+    return ref;
+  }
+
+  function buildQuery(path, filters, orders, limitCount, group = false) {
+    const query = { path, filters, orders, limitCount, group };
+    return {
+      where: (field, op, value) => buildQuery(path, [...filters, { segments: fieldSegments(field), op, value }], orders, limitCount, group),
+      orderBy: (field, direction = 'asc') => buildQuery(path, filters, [...orders, { segments: fieldSegments(field), direction }], limitCount, group),
+      limit: (n) => buildQuery(path, filters, orders, n, group),
+      get: async () => querySnapshot(runQuery(query).map(match => docSnapshot(docRef(match.path), match.data))),
+      onSnapshot: (onNext, onError) => listen(() => {
+        const matches = runQuery(query);
+        return {
+          snapshot: querySnapshot(matches.map(match => docSnapshot(docRef(match.path), match.data))),
+          key: JSON.stringify(matches.map(match => [match.path, encodeValue(match.data)]))
+        };
+      }, onNext, onError)
+    };
+  }
+
+  function collectionRef(path) {
+    const segments = path.split('/');
+    return {
+      ...buildQuery(path, [], [], null),
+      id: segments[segments.length - 1],
+      path: path,
+      get parent() {
+        return segments.length > 1 ? docRef(segments.slice(0, -1).join('/')) : null;
+      },
+      doc: (id) => docRef(`${path}/${id || generateMemoryId()}`),
+      add: async (data) => {
+        checkData(data);
+        const ref = docRef(`${path}/${generateMemoryId()}`);
+        commitWrites([{ type: 'set', path: ref.path, data, merge: false }]);
+        return ref;
+      }
+    };
+  }
+
+  function createBatch() {
+    const writes = [];
+    let committed = false;
+    const batch = {
+      set: (ref, data, setOptions = {}) => {
+        checkData(data);
+        writes.push({ type: 'set', path: ref.path, data, merge: setOptions.merge === true });
+        return batch;
+      },
+      update: (ref, ...args) => {
+        writes.push({ type: 'update', path: ref.path, pairs: updatePairs(args) });
+        return batch;
+      },
+      delete: (ref) => {
+        writes.push({ type: 'delete', path: ref.path });
+        return batch;
+      },
+      commit: async () => {
+        if (committed) throw memoryError('failed-precondition', 'A batch can only be committed once.');
+        committed = true;
+        commitWrites(writes);
+      }
+    };
+    return batch;
+  }
+
+  const db = {
+    collection: (path) => collectionRef(path),
+    collectionGroup: (id) => buildQuery(id, [], [], null, true),
+    doc: (path) => docRef(path),
+    batch: createBatch,
+    // Writes are applied once the update function resolves; nothing else
+    // runs in between reads and writes that would need a retry
+    runTransaction: async (updateFunction) => {
+      const batch = createBatch();
+      const transaction = {
+        get: (ref) => ref.get(),
+        set: (ref, data, setOptions) => { batch.set(ref, data, setOptions); return transaction; },
+        update: (ref, ...args) => { batch.update(ref, ...args); return transaction; },
+        delete: (ref) => { batch.delete(ref); return transaction; }
+      };
+      const result = await updateFunction(transaction);
+      await batch.commit();
+      return result;
+    },
+    enablePersistence: async () => {}
+  };
+
+  // ---------- Auth ----------
+
+  const authListeners = new Set();
+
+  function userFor(uid) {
+    const account = Object.values(authState.users).find(user => user.uid === uid);
+    if (!account) return null;
+    return {
+      uid: account.uid,
+      email: account.email,
+      displayName: null,
+      getIdToken: async () => `memory-token-${account.uid}`,
+      getIdTokenResult: async () => ({ claims: { ...(account.claims || {}) } })
+    };
+  }
+
+  function setCurrentUser(uid) {
+    authState.currentUid = uid;
+    auth.currentUser = uid ? userFor(uid) : null;
+    save();
+    authListeners.forEach(callback => Promise.resolve().then(() => callback(auth.currentUser)));
+  }
+
+  function checkEmail(email) {
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email || '')) {
+      throw memoryError('auth/invalid-email', 'The email address is badly formatted.');
+    }
+    return email.toLowerCase();
+  }
+
+  const auth = {
+    currentUser: authState.currentUid ? userFor(authState.currentUid) : null,
+    onAuthStateChanged: (callback) => {
+      authListeners.add(callback);
+      Promise.resolve().then(() => {
+        if (authListeners.has(callback)) callback(auth.currentUser);
+      });
+      return () => authListeners.delete(callback);
+    },
+    signInWithEmailAndPassword: async (email, password) => {
+      const account = authState.users[checkEmail(email)];
+      if (!account) throw memoryError('auth/user-not-found', 'No account found with this email.');
+      if (account.disabled) throw memoryError('auth/user-disabled', 'This account has been disabled.');
+      if (account.password !== password) throw memoryError('auth/wrong-password', 'Incorrect password.');
+      setCurrentUser(account.uid);
+      return { user: auth.currentUser };
+    },
+    createUserWithEmailAndPassword: async (email, password) => {
+      const key = checkEmail(email);
+      if (authState.users[key]) throw memoryError('auth/email-already-in-use', 'This email is already registered.');
+      if (!password || password.length < 6) throw memoryError('auth/weak-password', 'Password should be at least 6 characters.');
+      authState.users[key] = { uid: generateMemoryId(), email: key, password: password };
+      setCurrentUser(authState.users[key].uid);
+      return { user: auth.currentUser };
+    },
+    signOut: async () => {
+      setCurrentUser(null);
+    }
+  };
+
+  // ---------- Storage ----------
+
+  const storage = {
+    ref: (path) => ({
+      fullPath: path,
+      put: async (file, metadata = {}) => {
+        files.set(path, { file, contentType: metadata.contentType || (file && file.type) || '' });
+        return { ref: storage.ref(path), metadata: { fullPath: path, contentType: files.get(path).contentType } };
+      },
+      getDownloadURL: async () => {
+        const stored = files.get(path);
+        if (!stored) throw memoryError('storage/object-not-found', `No file at ${path}`);
+        if (typeof URL !== 'undefined' && URL.createObjectURL && typeof Blob !== 'undefined' && stored.file instanceof Blob) {
+          return URL.createObjectURL(stored.file);
+        }
+        return `memory://${path}`;
+      },
+      delete: async () => {
+        if (!files.delete(path)) throw memoryError('storage/object-not-found', `No file at ${path}`);
+      }
+    })
+  };
+
+  return {
+    name: 'memory',
+    db: db,
+    auth: auth,
+    storage: storage,
+    FieldValue: MemoryFieldValue,
+    FieldPath: MemoryFieldPath,
+    Timestamp: MemoryTimestamp,
+    // Stands in for the Firebase Admin SDK that Cloud Functions use;
+    // claims show up in getIdTokenResult straight away
+    admin: {
+      setCustomUserClaims: async (uid, claims) => {
+        const account = Object.values(authState.users).find(user => user.uid === uid);
+        if (!account) throw memoryError('auth/user-not-found', `No user ${uid}`);
+        account.claims = claims ? { ...claims } : {};
+        save();
+      },
+      // Only the disabled flag is supported; disabled accounts cannot sign in
+      updateUser: async (uid, properties) => {
+        const account = Object.values(authState.users).find(user => user.uid === uid);
+        if (!account) throw memoryError('auth/user-not-found', `No user ${uid}`);
+        if (properties && properties.disabled !== undefined) {
+          account.disabled = Boolean(properties.disabled);
+        }
+        save();
+      }
+    },
+    // Empties the store and signs out (for tests and "reset demo")
+    reset: () => {
+      documents = new Map();
+      authState.users = {};
+      files.clear();
+      setCurrentUser(null);
+      notifyListeners();
+    }
+  };
+}
+
+// Export functions for use in firebase.js and tests
+window.memoryBackendModule = {
+  createMemoryBackend
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createMemoryBackend };
+}
@@ -0,0 +1,547 @@
+/**
+ * Classes Management Module
+ *
+ * Handles all class-related operations using Firestore:
+ * - Creating, renaming and archiving classes
+ * - Listing a teacher's classes, a student's classes and the classes open
+ *   to parents
+ * - Scoping per-class collections under classes/{classId}
+ * - Managing each class's student roster (classes/{classId}/roster), which
+ *   is also its membership list: entries for student accounts are keyed by
+ *   the student's uid, and the security rules only let students who have
+ *   one mark attendance and submit work (see enrolment.js for join codes)
+ * - Migrating legacy single-class data into a default class
+ */
+
+// Class id used for data migrated from the legacy single-class documents
+const DEFAULT_CLASS_ID = 'default';
+
+// Collections that used to live at the top level and are now scoped per class
+const LEGACY_CLASS_COLLECTIONS = ['attendance', 'submissions', 'notices', 'parentMessages', 'parentReplies'];
+
+// localStorage key remembering the class picked on this device
+const SELECTED_CLASS_KEY = 'docere.selectedClassId';
+
+/**
+ * Gets the Firestore document reference for a class
+ * @param {string} classId - Class ID
+ * @returns {Object} - Firestore DocumentReference
+ */
+function classRef(classId) {
+  return db.collection('classes').doc(classId);
+}
+
+/**
+ * Gets a collection scoped to a class (e.g. classes/{classId}/attendance)
+ * @param {string} classId - Class ID
+ * @param {string} name - Sub-collection name
+ * @returns {Object} - Firestore CollectionReference
+ */
+function classCollection(classId, name) {
+  if (!classId) {
+    throw new Error('No class selected');
+  }
+  return classRef(classId).collection(name);
+}
+
+/**
+ * Creates a new class owned by the current teacher
+ * Requires teacher role
+ * @param {string} name - Class name (e.g. 10-A)
+ * @returns {Promise<Object>} - Result (see results.js); data is the new class ID
+ */
+async function createClass(name) {
+  // Check authentication and permission
+  const { user, error: authError } = await window.permissionsModule.requirePermission('create', 'class', 'create classes');
+  if (authError) return authError;
+
+  const nameTrimmed = (name || '').trim();
+  if (!nameTrimmed) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please enter a class name');
+  }
+
+  try {
+    const docRef = await db.collection('classes').add({
+      name: nameTrimmed,
+      teacherId: user.uid,
+      archived: false,
+      createdAt: backend.FieldValue.serverTimestamp(),
+      timestamp: backend.FieldValue.serverTimestamp()
+    });
+
+    console.log('Class created:', docRef.id);
+    return window.resultsModule.success(`Created ${nameTrimmed}.`, docRef.id);
+  } catch (error) {
+    console.error('Error creating class:', error);
+    return window.resultsModule.fromError(error, 'Failed to create class. Please try again.');
+  }
+}
+
+/**
+ * Renames a class
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {string} name - New class name
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function renameClass(classId, name) {
+  // Check authentication and permission
+  const { error: authError } = await window.permissionsModule.requirePermission('update', 'class', 'rename classes');
+  if (authError) return authError;
+
+  const nameTrimmed = (name || '').trim();
+  if (!classId || !nameTrimmed) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please enter a class name');
+  }
+
+  try {
+    await classRef(classId).update({
+      name: nameTrimmed,
+      timestamp: backend.FieldValue.serverTimestamp()
+    });
+    return window.resultsModule.success(`Renamed to ${nameTrimmed}.`);
+  } catch (error) {
+    console.error('Error renaming class:', error);
+    return window.resultsModule.fromError(error, 'Failed to rename class. Please try again.');
+  }
+}
+
+/**
+ * Archives (or restores) a class
+ * Archived classes are hidden from students and parents but keep their data
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {boolean} archived - true to archive, false to restore
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function archiveClass(classId, archived = true) {
+  // Check authentication and permission
+  const { error: authError } = await window.permissionsModule.requirePermission('update', 'class', 'archive classes');
+  if (authError) return authError;
+
+  if (!classId) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please select a class');
+  }
+
+  try {
+    await classRef(classId).update({
+      archived: archived,
+      timestamp: backend.FieldValue.serverTimestamp()
+    });
+    return window.resultsModule.success(archived ? 'Class archived.' : 'Class restored.');
+  } catch (error) {
+    console.error('Error archiving class:', error);
+    return window.resultsModule.fromError(error, 'Failed to update class. Please try again.');
+  }
+}
+
+/**
+ * Gets a single class
+ * @param {string} classId - Class ID
+ * @returns {Promise<Object|null>} - Class data or null if not found
+ */
+async function getClass(classId) {
+  if (!classId) return null;
+
+  try {
+    const doc = await classRef(classId).get();
+    if (doc.exists) {
+      return { id: doc.id, ...doc.data() };
+    }
+    return null;
+  } catch (error) {
+    console.error('Error getting class:', error);
+    return null;
+  }
+}
+
+/**
+ * Sets up real-time listener for the classes owned by a teacher
+ * Archived classes are included so they can be restored
+ */
+function watchTeacherClasses(teacherId, updateCallback) {
+  return db.collection('classes')
+    .where('teacherId', '==', teacherId)
+    .onSnapshot((snapshot) => {
+      const classes = [];
+      snapshot.forEach((doc) => {
+        classes.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+      classes.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+      updateCallback(classes);
+    }, (error) => {
+      console.error('Error watching teacher classes:', error);
+      updateCallback([]);
+    });
+}
+
+/**
+ * Sets up real-time listener for the classes a student is enrolled in (has
+ * a roster entry for); archived classes are left out
+ * @param {string} studentId - Student user ID
+ * @param {Function} updateCallback - Receives the classes, sorted by name
+ * @returns {Function} - Unsubscribe function
+ */
+function watchStudentClasses(studentId, updateCallback) {
+  let latest = 0;
+  return db.collectionGroup('roster')
+    .where('uid', '==', studentId)
+    .onSnapshot(async (snapshot) => {
+      const request = ++latest;
+      const classIds = [...new Set(snapshot.docs.map(doc => doc.ref.parent.parent.id))];
+      try {
+        const classDocs = await Promise.all(classIds.map(classId => classRef(classId).get()));
+        if (request !== latest) return;
+        const classes = classDocs
+          .filter(doc => doc.exists && !doc.data().archived)
+          .map(doc => ({ id: doc.id, ...doc.data() }));
+        classes.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        updateCallback(classes);
+      } catch (error) {
+        console.error('Error loading student classes:', error);
+        updateCallback([]);
+      }
+    }, (error) => {
+      console.error('Error watching student classes:', error);
+      updateCallback([]);
+    });
+}
+
+/**
+ * Looks up a student account by email
+ * @param {string} email - Account email
+ * @returns {Promise<Object|null>} - { uid, name } or null if no student account matches
+ */
+async function findStudentAccount(email) {
+  if (!email) return null;
+
+  const snapshot = await db.collection('users')
+    .where('email', '==', email)
+    .where('role', '==', 'student')
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) return null;
+  const doc = snapshot.docs[0];
+  return { uid: doc.id, name: doc.data().name || '' };
+}
+
+/**
+ * Adds a student to a class roster
+ * If a student account exists with the given email, the roster entry is
+ * linked to it (and keyed by its uid, which enrols the student)
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {string} name - Student name (optional when the email matches an account)
+ * @param {string} email - Student email (optional)
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function addRosterStudent(classId, name, email = '') {
+  // Check authentication and permission
+  const { error: authError } = await window.permissionsModule.requirePermission('manageRoster', 'class', 'manage the roster');
+  if (authError) return authError;
+
+  if (!classId) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please select a class first.');
+  }
+
+  const nameTrimmed = (name || '').trim();
+  const emailTrimmed = (email || '').trim();
+
+  try {
+    const account = await findStudentAccount(emailTrimmed);
+    const studentName = nameTrimmed || (account && account.name);
+    if (!studentName) {
+      return window.resultsModule.failure('INVALID_INPUT', 'Please enter the student\'s name');
+    }
+
+    const roster = classCollection(classId, 'roster');
+    if (account) {
+      const existing = await roster.where('uid', '==', account.uid).limit(1).get();
+      if (!existing.empty) {
+        return window.resultsModule.failure('ALREADY_EXISTS', 'This student is already on the roster.');
+      }
+    }
+
+    const entry = {
+      name: studentName,
+      email: emailTrimmed,
+      uid: account ? account.uid : null,
+      timestamp: backend.FieldValue.serverTimestamp()
+    };
+    if (account) {
+      await roster.doc(account.uid).set(entry);
+    } else {
+      await roster.add(entry);
+    }
+    return window.resultsModule.success(`Added ${studentName} to the roster.`);
+  } catch (error) {
+    console.error('Error adding roster student:', error);
+    return window.resultsModule.fromError(error, 'Failed to add student. Please try again.');
+  }
+}
+
+/**
+ * Removes a student from a class roster, and unlinks their parents from
+ * them in this class
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {string} rosterId - Roster entry ID
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function removeRosterStudent(classId, rosterId) {
+  // Check authentication and permission
+  const { error: authError } = await window.permissionsModule.requirePermission('manageRoster', 'class', 'manage the roster');
+  if (authError) return authError;
+
+  try {
+    const entryRef = classCollection(classId, 'roster').doc(rosterId);
+    const entry = await entryRef.get();
+    if (!entry.exists) {
+      return window.resultsModule.failure('NOT_FOUND', 'This student is no longer on the roster.');
+    }
+
+    const batch = db.batch();
+    batch.delete(entryRef);
+    const studentId = entry.data().uid;
+    if (studentId) {
+      const links = await db.collection('parentLinks')
+        .where('classId', '==', classId)
+        .where('studentId', '==', studentId)
+        .get();
+      links.forEach((link) => {
+        batch.delete(link.ref);
+        batch.set(classCollection(classId, 'parents').doc(link.data().parentId), {
+          studentIds: backend.FieldValue.arrayRemove(studentId)
+        }, { merge: true });
+      });
+    }
+    await batch.commit();
+    return window.resultsModule.success(`Removed ${entry.data().name || 'the student'} from the class.`);
+  } catch (error) {
+    console.error('Error removing roster student:', error);
+    return window.resultsModule.fromError(error, 'Failed to remove student. Please try again.');
+  }
+}
+
+/**
+ * Keys roster entries by their student's uid, which is what makes them
+ * members: links unlinked entries to student accounts created after they
+ * were added, and moves linked entries added before join codes (which
+ * have generated IDs)
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @returns {Promise<number>} - Number of entries linked or moved
+ */
+async function syncRosterAccounts(classId) {
+  const user = window.auth && window.auth.currentUser;
+  if (!user || !classId) return 0;
+
+  const { error: authError } = await window.permissionsModule.requirePermission('manageRoster', 'class', 'manage the roster');
+  if (authError) return 0;
+
+  try {
+    const roster = classCollection(classId, 'roster');
+    const snapshot = await roster.get();
+    let changed = 0;
+    for (const doc of snapshot.docs) {
+      const data = doc.data();
+      let uid = data.uid;
+      if (!uid) {
+        const account = await findStudentAccount(data.email);
+        if (!account) continue;
+        uid = account.uid;
+      }
+      if (doc.id === uid) continue;
+
+      const batch = db.batch();
+      batch.set(roster.doc(uid), { ...data, uid: uid });
+      batch.delete(doc.ref);
+      await batch.commit();
+      changed++;
+    }
+    return changed;
+  } catch (error) {
+    console.error('Error syncing roster accounts:', error);
+    return 0;
+  }
+}
+
+/**
+ * Sets up real-time listener for a class roster
+ * Students are returned sorted by name
+ */
+function watchRoster(classId, updateCallback) {
+  if (!classId) {
+    updateCallback([]);
+    return () => {};
+  }
+
+  return classCollection(classId, 'roster').onSnapshot((snapshot) => {
+    const students = [];
+    snapshot.forEach((doc) => {
+      students.push({
+        id: doc.id,
+        ...doc.data()
+      });
+    });
+    students.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    updateCallback(students);
+  }, (error) => {
+    console.error('Error watching roster:', error);
+    updateCallback([]);
+  });
+}
+
+/**
+ * Gets the roster students not found in a list of entries (e.g. present students)
+ * Linked roster students are matched by uid; unlinked ones, and legacy
+ * name-only entries, are matched by name (case-insensitive, trimmed)
+ * @param {Array} roster - Roster entries ({ uid, name, ... })
+ * @param {Array<Object>} entries - Entries to match against ({ uid, name })
+ * @returns {Array} - Roster entries not found in entries
+ */
+function getMissingStudents(roster, entries) {
+  const normalize = (name) => (name || '').trim().toLowerCase();
+  const uids = new Set(entries.filter(entry => entry.uid).map(entry => entry.uid));
+  const allNames = new Set(entries.map(entry => normalize(entry.name)));
+  const legacyNames = new Set(entries.filter(entry => !entry.uid).map(entry => normalize(entry.name)));
+
+  return roster.filter(student => {
+    if (student.uid && uids.has(student.uid)) return false;
+    const names = student.uid ? legacyNames : allNames;
+    return !names.has(normalize(student.name));
+  });
+}
+
+/**
+ * Copies documents from the legacy top-level collections
+ * (classInfo/current, attendance, submissions, notices, parentMessages, parentReplies)
+ * into classes/default so existing data keeps working.
+ * Runs once per project; a marker in migrations/singleClass prevents re-runs.
+ * Requires teacher role
+ * @returns {Promise<string|null>} - Default class ID if data was migrated, otherwise null
+ */
+async function migrateLegacyData() {
+  const user = window.auth && window.auth.currentUser;
+  if (!user) return null;
+
+  const { error: authError } = await window.permissionsModule.requirePermission('run', 'migration', 'migrate data');
+  if (authError) return null;
+
+  const markerRef = db.collection('migrations').doc('singleClass');
+
+  try {
+    const marker = await markerRef.get();
+    if (marker.exists) return null;
+
+    const legacyInfo = await db.collection('classInfo').doc('current').get();
+    const legacySnapshots = {};
+    let hasLegacyData = legacyInfo.exists;
+
+    for (const name of LEGACY_CLASS_COLLECTIONS) {
+      legacySnapshots[name] = await db.collection(name).get();
+      if (!legacySnapshots[name].empty) hasLegacyData = true;
+    }
+
+    if (!hasLegacyData) {
+      await markerRef.set({
+        classId: null,
+        migratedBy: user.uid,
+        timestamp: backend.FieldValue.serverTimestamp()
+      });
+      return null;
+    }
+
+    const info = legacyInfo.exists ? legacyInfo.data() : {};
+    await classRef(DEFAULT_CLASS_ID).set({
+      name: info.className || 'Default Class',
+      teacherId: user.uid,
+      archived: false,
+      createdAt: backend.FieldValue.serverTimestamp(),
+      timestamp: backend.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    // Firestore batches are limited to 500 writes
+    let batch = db.batch();
+    let pending = 0;
+    for (const name of LEGACY_CLASS_COLLECTIONS) {
+      for (const doc of legacySnapshots[name].docs) {
+        batch.set(classCollection(DEFAULT_CLASS_ID, name).doc(doc.id), doc.data());
+        pending++;
+        if (pending === 450) {
+          await batch.commit();
+          batch = db.batch();
+          pending = 0;
+        }
+      }
+    }
+    if (pending > 0) {
+      await batch.commit();
+    }
+
+    await markerRef.set({
+      classId: DEFAULT_CLASS_ID,
+      migratedBy: user.uid,
+      timestamp: backend.FieldValue.serverTimestamp()
+    });
+
+    console.log('Legacy data migrated into class:', DEFAULT_CLASS_ID);
+    return DEFAULT_CLASS_ID;
+  } catch (error) {
+    console.error('Error migrating legacy data:', error);
+    return null;
+  }
+}
+
+/**
+ * Gets the class last selected on this device
+ * @returns {string|null}
+ */
+function getSelectedClassId() {
+  try {
+    return window.localStorage.getItem(SELECTED_CLASS_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Remembers the selected class on this device
+ * @param {string|null} classId - Class ID
+ */
+function setSelectedClassId(classId) {
+  try {
+    if (classId) {
+      window.localStorage.setItem(SELECTED_CLASS_KEY, classId);
+    } else {
+      window.localStorage.removeItem(SELECTED_CLASS_KEY);
+    }
+  } catch (error) {
+    // Storage may be unavailable (private mode); selection just won't persist
+  }
+}
+
+// Export functions for use in other modules
+window.classesModule = {
+  DEFAULT_CLASS_ID,
+  classRef,
+  classCollection,
+  createClass,
+  renameClass,
+  archiveClass,
+  getClass,
+  watchTeacherClasses,
+  watchStudentClasses,
+  addRosterStudent,
+  removeRosterStudent,
+  syncRosterAccounts,
+  watchRoster,
+  getMissingStudents,
+  migrateLegacyData,
+  getSelectedClassId,
+  setSelectedClassId
+};
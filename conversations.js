@@ -0,0 +1,443 @@
+/**
+ * Parent-Teacher Conversations Module
+ *
+ * Handles per-family message threads using Firestore:
+ * - classes/{classId}/conversations/{parentUid}_{studentUid} holds one
+ *   thread per parent per child, with a summary of its latest message
+ * - .../conversations/{conversationId}/messages/{id} holds every message
+ *   from the parent and the teacher's replies
+ * Only the parent in a thread and the class's teacher can read it.
+ *
+ * Threads keep a count of the parent's messages the teacher has not read
+ * (unreadByTeacher); each parent message records when the teacher read it
+ * (readAt), which the parent sees as "Seen by teacher". Teachers can mark a
+ * thread unread again or archive it; a new message from the parent brings
+ * an archived thread back to the inbox.
+ *
+ * Replaces the parentMessages collection and the single
+ * parentReplies/latest document every parent used to see.
+ */
+
+/**
+ * Gets the conversations collection for a class
+ */
+function conversationsCollection(classId) {
+  return window.classesModule.classCollection(classId, 'conversations');
+}
+
+/**
+ * Gets the ID of the thread between a parent and the teacher about one child
+ * @param {string} parentId - Parent user ID
+ * @param {string} studentId - Student user ID
+ * @returns {string}
+ */
+function getConversationId(parentId, studentId) {
+  return `${parentId}_${studentId}`;
+}
+
+/**
+ * Sends a message from a parent to the teacher about one child,
+ * starting the family's thread or continuing it
+ * Requires parent role
+ * @param {string} classId - Class ID
+ * @param {Object} child - Linked child ({ studentId, studentName })
+ * @param {string} message - Message text
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function sendParentMessage(classId, child, message) {
+  // Check authentication and permission
+  const { user, error: authError } = await window.permissionsModule.requirePermission('send', 'conversation', 'send messages');
+  if (authError) return authError;
+
+  if (!classId) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please select a class first.');
+  }
+
+  const messageTrimmed = (message || '').trim();
+
+  if (!child || !child.studentId) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please select your child first.');
+  }
+
+  if (!messageTrimmed) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please enter a message');
+  }
+
+  try {
+    const parentName = window.authModule
+      ? await window.authModule.getDisplayName(user)
+      : user.email;
+    const conversationRef = conversationsCollection(classId).doc(getConversationId(user.uid, child.studentId));
+    const timestamp = backend.FieldValue.serverTimestamp();
+
+    const batch = db.batch();
+    batch.set(conversationRef, {
+      parentId: user.uid,
+      parentName: parentName,
+      studentId: child.studentId,
+      childName: child.studentName || '',
+      lastMessage: messageTrimmed,
+      lastSender: 'parent',
+      lastMessageAt: timestamp,
+      unreadByTeacher: backend.FieldValue.increment(1),
+      archived: false
+    }, { merge: true });
+    batch.set(conversationRef.collection('messages').doc(), {
+      senderId: user.uid,
+      senderRole: 'parent',
+      senderName: parentName,
+      text: messageTrimmed,
+      timestamp: timestamp,
+      readAt: null
+    });
+    await batch.commit();
+
+    return window.resultsModule.success('Message sent to teacher!');
+  } catch (error) {
+    console.error('Error sending parent message:', error);
+    return window.resultsModule.fromError(error, 'Failed to send message. Please try again.');
+  }
+}
+
+/**
+ * Sends a teacher's reply inside a family's thread
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {string} conversationId - Conversation ID ({parentUid}_{studentUid})
+ * @param {string} replyText - Reply content
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function sendTeacherReply(classId, conversationId, replyText) {
+  // Check authentication and permission
+  const { user, error: authError } = await window.permissionsModule.requirePermission('reply', 'conversation', 'send replies');
+  if (authError) return authError;
+
+  if (!classId || !conversationId) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please open a conversation first.');
+  }
+
+  const text = (replyText || '').trim();
+
+  if (!text) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please enter a reply');
+  }
+
+  try {
+    const teacherName = window.authModule
+      ? await window.authModule.getDisplayName(user)
+      : user.email;
+    const conversationRef = conversationsCollection(classId).doc(conversationId);
+    const timestamp = backend.FieldValue.serverTimestamp();
+
+    const batch = db.batch();
+    batch.update(conversationRef, {
+      lastMessage: text,
+      lastSender: 'teacher',
+      lastMessageAt: timestamp
+    });
+    batch.set(conversationRef.collection('messages').doc(), {
+      senderId: user.uid,
+      senderRole: 'teacher',
+      senderName: teacherName,
+      text: text,
+      timestamp: timestamp
+    });
+    await batch.commit();
+    return window.resultsModule.success('Reply sent.');
+  } catch (error) {
+    console.error('Error sending reply:', error);
+    return window.resultsModule.fromError(error, 'Failed to send reply. Please try again.');
+  }
+}
+
+/**
+ * Marks the parent's messages in a thread as read by the teacher
+ * Called when the teacher opens the thread
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function markConversationRead(classId, conversationId) {
+  // Check authentication and permission
+  const { error: authError } = await window.permissionsModule.requirePermission('update', 'conversation', 'update conversations');
+  if (authError) return authError;
+
+  if (!classId || !conversationId) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please open a conversation first.');
+  }
+
+  try {
+    const conversationRef = conversationsCollection(classId).doc(conversationId);
+    const unread = await conversationRef.collection('messages')
+      .where('senderRole', '==', 'parent')
+      .where('readAt', '==', null)
+      .get();
+
+    const batch = db.batch();
+    const readAt = backend.FieldValue.serverTimestamp();
+    unread.forEach((doc) => batch.update(doc.ref, { readAt: readAt }));
+    batch.update(conversationRef, { unreadByTeacher: 0 });
+    await batch.commit();
+    return window.resultsModule.success();
+  } catch (error) {
+    console.error('Error marking conversation read:', error);
+    return window.resultsModule.fromError(error, 'Failed to mark as read. Please try again.');
+  }
+}
+
+/**
+ * Puts a thread back in the teacher's unread list
+ * The parent keeps seeing their messages as seen
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {Object} conversation - Conversation ({ id, unreadByTeacher })
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function markConversationUnread(classId, conversation) {
+  // Check authentication and permission
+  const { error: authError } = await window.permissionsModule.requirePermission('update', 'conversation', 'update conversations');
+  if (authError) return authError;
+
+  try {
+    await conversationsCollection(classId).doc(conversation.id).update({
+      unreadByTeacher: Math.max(conversation.unreadByTeacher || 0, 1)
+    });
+    return window.resultsModule.success('Marked as unread.');
+  } catch (error) {
+    console.error('Error marking conversation unread:', error);
+    return window.resultsModule.fromError(error, 'Failed to mark as unread. Please try again.');
+  }
+}
+
+/**
+ * Archives a thread, hiding it from the teacher's inbox, or restores it
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {string} conversationId - Conversation ID
+ * @param {boolean} archived - true to archive, false to restore
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function setConversationArchived(classId, conversationId, archived) {
+  // Check authentication and permission
+  const { error: authError } = await window.permissionsModule.requirePermission('update', 'conversation', 'update conversations');
+  if (authError) return authError;
+
+  try {
+    await conversationsCollection(classId).doc(conversationId).update({
+      archived: archived === true
+    });
+    return window.resultsModule.success(archived ? 'Conversation archived.' : 'Conversation restored.');
+  } catch (error) {
+    console.error('Error archiving conversation:', error);
+    return window.resultsModule.fromError(error, 'Failed to update conversation. Please try again.');
+  }
+}
+
+/**
+ * Counts the unread parent messages across the inbox (archived threads excluded)
+ * @param {Array} conversations - Conversations from watchConversations
+ * @returns {number}
+ */
+function countUnread(conversations) {
+  return conversations
+    .filter(conversation => !conversation.archived)
+    .reduce((total, conversation) => total + (conversation.unreadByTeacher || 0), 0);
+}
+
+/**
+ * Sets up real-time listener for a class's conversations (teacher inbox)
+ * Callback receives [{ id, parentId, parentName, studentId, childName,
+ * lastMessage, lastSender, lastMessageAt, unreadByTeacher, archived }],
+ * most recent first
+ */
+function watchConversations(classId, updateCallback) {
+  return conversationsCollection(classId)
+    .orderBy('lastMessageAt', 'desc')
+    .onSnapshot((snapshot) => {
+      const conversations = [];
+      snapshot.forEach((doc) => {
+        conversations.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+      updateCallback(conversations);
+    }, (error) => {
+      console.error('Error watching conversations:', error);
+      updateCallback([]);
+    });
+}
+
+/**
+ * Sets up real-time listener for the messages in one thread, oldest first
+ * Callback receives [{ id, senderId, senderRole, senderName, text, timestamp, readAt }]
+ */
+function watchConversationMessages(classId, conversationId, updateCallback) {
+  if (!classId || !conversationId) {
+    updateCallback([]);
+    return () => {};
+  }
+
+  return conversationsCollection(classId).doc(conversationId).collection('messages')
+    .orderBy('timestamp', 'asc')
+    .onSnapshot((snapshot) => {
+      const messages = [];
+      snapshot.forEach((doc) => {
+        messages.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+      updateCallback(messages);
+    }, (error) => {
+      console.error('Error watching conversation messages:', error);
+      updateCallback([]);
+    });
+}
+
+/**
+ * Renders a thread's messages into a container, the viewer's own on the right
+ * Parents also see whether the teacher has read each of their messages
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array} messages - Messages from watchConversationMessages
+ * @param {string} viewerRole - 'teacher' or 'parent'
+ */
+function renderConversationMessages(container, messages, viewerRole) {
+  if (!container) return;
+
+  container.innerHTML = '';
+  if (messages.length === 0) {
+    container.innerHTML = '<p class="text-zinc-500">No messages yet</p>';
+    return;
+  }
+
+  messages.forEach((message) => {
+    const own = message.senderRole === viewerRole;
+    const bubble = document.createElement('div');
+    bubble.className = `max-w-[85%] p-2 rounded-lg border ${own
+      ? 'ml-auto bg-indigo-500/10 border-indigo-800'
+      : 'mr-auto bg-zinc-800 border-zinc-700'}`;
+    const text = document.createElement('p');
+    text.className = 'text-zinc-100 whitespace-pre-line';
+    text.innerText = message.text || '';
+    const meta = document.createElement('p');
+    meta.className = 'text-xs text-zinc-500 mt-1';
+    const sender = message.senderRole === 'teacher' ? 'Teacher' : (message.senderName || 'Parent');
+    const when = message.timestamp && message.timestamp.toDate ? message.timestamp.toDate().toLocaleString() : 'Sending...';
+    meta.innerText = `${sender} · ${when}`;
+    if (viewerRole === 'parent' && own) {
+      meta.innerText += message.readAt && message.readAt.toDate
+        ? ` · Seen by teacher ${message.readAt.toDate().toLocaleString()}`
+        : ' · Not seen yet';
+    }
+    bubble.appendChild(text);
+    bubble.appendChild(meta);
+    container.appendChild(bubble);
+  });
+  container.scrollTop = container.scrollHeight;
+}
+
+/**
+ * Copies a class's messages from the old parentMessages collection into
+ * per-family threads. Runs once per class; a marker in
+ * migrations/conversations_{classId} prevents re-runs. Messages without a
+ * parent or child (sent before parents were linked) cannot be placed in a
+ * thread and are left where they are. The old parentReplies/latest document
+ * was shared by every family and is not copied.
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ */
+async function migrateParentMessages(classId) {
+  const user = window.auth && window.auth.currentUser;
+  if (!user || !classId) return;
+
+  const { error: authError } = await window.permissionsModule.requirePermission('run', 'migration', 'migrate data');
+  if (authError) return;
+
+  const markerRef = db.collection('migrations').doc(`conversations_${classId}`);
+
+  try {
+    const marker = await markerRef.get();
+    if (marker.exists) return;
+
+    const snapshot = await window.classesModule.classCollection(classId, 'parentMessages').get();
+    const threads = {};
+    snapshot.forEach((doc) => {
+      const message = doc.data();
+      if (!message.parentId || !message.studentId) return;
+      const id = getConversationId(message.parentId, message.studentId);
+      if (!threads[id]) threads[id] = [];
+      threads[id].push({ id: doc.id, ...message });
+    });
+
+    // Firestore batches are limited to 500 writes
+    let batch = db.batch();
+    let pending = 0;
+    const queue = async (write) => {
+      write(batch);
+      pending++;
+      if (pending === 450) {
+        await batch.commit();
+        batch = db.batch();
+        pending = 0;
+      }
+    };
+
+    for (const [id, messages] of Object.entries(threads)) {
+      const time = (message) => message.timestamp && message.timestamp.toMillis ? message.timestamp.toMillis() : 0;
+      messages.sort((a, b) => time(a) - time(b));
+      const latest = messages[messages.length - 1];
+      const conversationRef = conversationsCollection(classId).doc(id);
+
+      await queue(b => b.set(conversationRef, {
+        parentId: latest.parentId,
+        parentName: '',
+        studentId: latest.studentId,
+        childName: latest.childName || '',
+        lastMessage: latest.message || '',
+        lastSender: 'parent',
+        lastMessageAt: latest.timestamp || backend.FieldValue.serverTimestamp(),
+        unreadByTeacher: messages.filter(message => !message.read).length,
+        archived: false
+      }, { merge: true }));
+      for (const message of messages) {
+        await queue(b => b.set(conversationRef.collection('messages').doc(message.id), {
+          senderId: message.parentId,
+          senderRole: 'parent',
+          senderName: '',
+          text: message.message || '',
+          timestamp: message.timestamp || backend.FieldValue.serverTimestamp(),
+          // Old messages only had a read flag, so the time they were read is not known
+          readAt: message.read ? (message.timestamp || null) : null
+        }));
+      }
+    }
+    if (pending > 0) {
+      await batch.commit();
+    }
+
+    await markerRef.set({
+      classId: classId,
+      migratedBy: user.uid,
+      timestamp: backend.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    console.error('Error migrating parent messages:', error);
+  }
+}
+
+// Export functions for use in portal pages
+window.conversationsModule = {
+  getConversationId,
+  sendParentMessage,
+  sendTeacherReply,
+  markConversationRead,
+  markConversationUnread,
+  setConversationArchived,
+  countUnread,
+  watchConversations,
+  watchConversationMessages,
+  renderConversationMessages,
+  migrateParentMessages
+};
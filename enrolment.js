@@ -0,0 +1,225 @@
+/**
+ * Enrolment Module
+ *
+ * Handles class join codes using Firestore:
+ * - Teachers issue join codes for a class (joinCodes/{code}), each with an
+ *   expiry date and a maximum number of uses, and can revoke them
+ * - Students redeem a code at signup or from the student portal, which adds
+ *   them to the class roster (classes/{classId}/roster/{uid}) in the same
+ *   transaction that counts the use
+ *
+ * Parents link to a child with a separate, per-student link code (parents.js).
+ */
+
+// Defaults offered on the teacher portal
+const JOIN_CODE_DEFAULT_DAYS = 14;
+const JOIN_CODE_DEFAULT_MAX_USES = 40;
+
+// Upper bounds for a single code
+const JOIN_CODE_MAX_DAYS = 365;
+const JOIN_CODE_MAX_USES = 500;
+
+/**
+ * Gets the Firestore document reference for a join code
+ * @param {string} code - Join code
+ * @returns {Object} - Firestore DocumentReference
+ */
+function joinCodeRef(code) {
+  return db.collection('joinCodes').doc(code);
+}
+
+/**
+ * Tells whether a join code can still be used
+ * @param {Object} joinCode - Join code data
+ * @returns {boolean}
+ */
+function isJoinCodeActive(joinCode) {
+  return !joinCode.revoked
+    && (joinCode.uses || 0) < joinCode.maxUses
+    && !(joinCode.expiresAt && joinCode.expiresAt.toDate() < new Date());
+}
+
+/**
+ * Issues a join code students can use to enrol in a class
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {Object} [options] - { expiresInDays, maxUses }
+ * @returns {Promise<Object>} - Result (see results.js); data is the join code
+ */
+async function createJoinCode(classId, options = {}) {
+  // Check authentication and permission
+  const { user, error: authError } = await window.permissionsModule.requirePermission('create', 'joinCode', 'create join codes');
+  if (authError) return authError;
+
+  const given = (value, fallback) => (value === undefined || value === null || value === '' ? fallback : Number(value));
+  const expiresInDays = given(options.expiresInDays, JOIN_CODE_DEFAULT_DAYS);
+  const maxUses = given(options.maxUses, JOIN_CODE_DEFAULT_MAX_USES);
+  if (!classId) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please select a class first.');
+  }
+  if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > JOIN_CODE_MAX_USES) {
+    return window.resultsModule.failure('INVALID_INPUT', `Max uses must be a whole number from 1 to ${JOIN_CODE_MAX_USES}.`);
+  }
+  if (!(expiresInDays > 0) || expiresInDays > JOIN_CODE_MAX_DAYS) {
+    return window.resultsModule.failure('INVALID_INPUT', `Codes can last from 1 to ${JOIN_CODE_MAX_DAYS} days.`);
+  }
+
+  try {
+    const classData = await window.classesModule.getClass(classId);
+    if (!classData) {
+      return window.resultsModule.failure('NOT_FOUND', 'This class no longer exists.');
+    }
+
+    const code = window.parentsModule.generateCode(8);
+    await joinCodeRef(code).set({
+      classId: classId,
+      className: classData.name || '',
+      createdBy: user.uid,
+      expiresAt: backend.Timestamp.fromDate(new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)),
+      maxUses: maxUses,
+      uses: 0,
+      revoked: false,
+      timestamp: backend.FieldValue.serverTimestamp()
+    });
+    return window.resultsModule.success(`Join code ${code} created.`, code);
+  } catch (error) {
+    console.error('Error creating join code:', error);
+    return window.resultsModule.fromError(error, 'Failed to create join code. Please try again.');
+  }
+}
+
+/**
+ * Revokes a join code so it can no longer be used
+ * Students who already joined with it stay enrolled
+ * Requires teacher role
+ * @param {string} code - Join code
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function revokeJoinCode(code) {
+  // Check authentication and permission
+  const { error: authError } = await window.permissionsModule.requirePermission('revoke', 'joinCode', 'revoke join codes');
+  if (authError) return authError;
+
+  try {
+    await joinCodeRef(code).update({
+      revoked: true,
+      revokedAt: backend.FieldValue.serverTimestamp()
+    });
+    return window.resultsModule.success(`Join code ${code} revoked.`);
+  } catch (error) {
+    console.error('Error revoking join code:', error);
+    return window.resultsModule.fromError(error, 'Failed to revoke join code. Please try again.');
+  }
+}
+
+/**
+ * Enrols the signed-in student in the class a join code was issued for
+ * Requires student role
+ * @param {string} code - Join code from the teacher
+ * @returns {Promise<Object>} - Result (see results.js); data is the class ID
+ */
+async function joinClassWithCode(code) {
+  // Check authentication and permission
+  const { user, error: authError } = await window.permissionsModule.requirePermission('redeem', 'joinCode', 'join classes');
+  if (authError) return authError;
+
+  const codeTrimmed = (code || '').trim().toUpperCase();
+  if (!codeTrimmed) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please enter the join code from your teacher.');
+  }
+
+  try {
+    const codeDoc = await joinCodeRef(codeTrimmed).get();
+    if (!codeDoc.exists) {
+      return window.resultsModule.failure('INVALID_CODE', 'Invalid join code.');
+    }
+    const classId = codeDoc.data().classId;
+    const roster = window.classesModule.classCollection(classId, 'roster');
+
+    // Entries the teacher added before join codes are not keyed by uid
+    const existing = await roster.where('uid', '==', user.uid).limit(1).get();
+    if (!existing.empty) {
+      return window.resultsModule.failure('ALREADY_EXISTS', `You are already in ${codeDoc.data().className || 'this class'}.`);
+    }
+
+    const profile = await window.authModule.getUserData(user.uid);
+    return await db.runTransaction(async (transaction) => {
+      const current = await transaction.get(joinCodeRef(codeTrimmed));
+      const joinCode = current.data();
+      if (joinCode.revoked) {
+        return window.resultsModule.failure('INVALID_CODE', 'This join code has been revoked. Please ask your teacher for a new one.');
+      }
+      if (joinCode.expiresAt && joinCode.expiresAt.toDate() < new Date()) {
+        return window.resultsModule.failure('INVALID_CODE', 'This join code has expired. Please ask your teacher for a new one.');
+      }
+      if ((joinCode.uses || 0) >= joinCode.maxUses) {
+        return window.resultsModule.failure('ALREADY_USED', 'This join code has been used the maximum number of times.');
+      }
+      const entry = await transaction.get(roster.doc(user.uid));
+      if (entry.exists) {
+        return window.resultsModule.failure('ALREADY_EXISTS', `You are already in ${joinCode.className || 'this class'}.`);
+      }
+
+      transaction.set(roster.doc(user.uid), {
+        name: (profile && profile.name) || user.email || '',
+        email: user.email || '',
+        uid: user.uid,
+        joinCode: codeTrimmed,
+        timestamp: backend.FieldValue.serverTimestamp()
+      });
+      transaction.update(joinCodeRef(codeTrimmed), {
+        uses: (joinCode.uses || 0) + 1,
+        lastUsedAt: backend.FieldValue.serverTimestamp()
+      });
+      return window.resultsModule.success(`Joined ${joinCode.className || 'the class'}!`, classId);
+    });
+  } catch (error) {
+    console.error('Error joining class:', error);
+    return window.resultsModule.fromError(error, 'Failed to join class. Please try again.');
+  }
+}
+
+/**
+ * Sets up real-time listener for the join codes a teacher issued for a class
+ * Each code has an active flag (not revoked, expired or used up); newest first
+ * @param {string} classId - Class ID
+ * @param {string} teacherId - Teacher user ID
+ * @param {Function} updateCallback - Receives the codes
+ * @returns {Function} - Unsubscribe function
+ */
+function watchJoinCodes(classId, teacherId, updateCallback) {
+  if (!classId) {
+    updateCallback([]);
+    return () => {};
+  }
+
+  return db.collection('joinCodes')
+    .where('classId', '==', classId)
+    .where('createdBy', '==', teacherId)
+    .onSnapshot((snapshot) => {
+      const codes = [];
+      snapshot.forEach((doc) => {
+        const data = doc.data();
+        codes.push({
+          code: doc.id,
+          ...data,
+          active: isJoinCodeActive(data)
+        });
+      });
+      codes.sort((a, b) => (b.timestamp ? b.timestamp.toMillis() : Date.now()) - (a.timestamp ? a.timestamp.toMillis() : Date.now()));
+      updateCallback(codes);
+    }, (error) => {
+      console.error('Error watching join codes:', error);
+      updateCallback([]);
+    });
+}
+
+// Export functions for use in portal pages
+window.enrolmentModule = {
+  JOIN_CODE_DEFAULT_DAYS,
+  JOIN_CODE_DEFAULT_MAX_USES,
+  createJoinCode,
+  revokeJoinCode,
+  joinClassWithCode,
+  watchJoinCodes
+};
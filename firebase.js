@@ -2,13 +2,15 @@
 /**
  * Firebase Configuration and Initialization
  * 
- * This module initializes Firebase Firestore for the Docere application.
- * Uses Firebase CDN SDK (no Node.js backend required - Netlify compatible)
+ * This module picks the data backend for the Docere application
+ * (backend/backend.js): Firebase by default, using the Firebase CDN SDK
+ * (no Node.js backend required - Netlify compatible), or the in-memory
+ * demo backend.
  * 
  * SETUP REQUIRED:
  * 1. Create a Firebase project at https://console.firebase.google.com
- * 2. Enable Firestore Database
- * 3. Set Firestore rules (see FIRESTORE_RULES in comments below)
+ * 2. Enable Firestore Database and Cloud Storage
+ * 3. Deploy the Firestore rules and functions (see FIRESTORE SECURITY RULES below)
  * 4. Get your Firebase config from Project Settings
  * 5. Replace the config object below with your Firebase credentials
  */
@@ -24,47 +26,49 @@ const firebaseConfig = {
 // Firebase Configuration
 // TODO: Replace with your Firebase project configuration
 
-
-// Initialize Firebase (only if not already initialized)
-if (!firebase.apps.length) {
-  firebase.initializeApp(firebaseConfig);
+// Use the local Firebase emulators (`firebase emulators:start`) instead of
+// the live project. Open any page with ?emulators=on to switch this browser
+// over, and ?emulators=off to switch back
+const EMULATORS_KEY = 'docere.emulators';
+const emulatorsParam = new URLSearchParams(window.location.search).get('emulators');
+if (emulatorsParam) {
+  localStorage.setItem(EMULATORS_KEY, emulatorsParam);
 }
 
-// Initialize Firestore
-const db = firebase.firestore();
-
-// Initialize Firebase Authentication
-const auth = firebase.auth();
-
-// Enable Firestore persistence for offline support (optional but recommended)
-db.enablePersistence().catch((err) => {
-  if (err.code === 'failed-precondition') {
-    // Multiple tabs open, persistence can only be enabled in one tab at a time.
-    console.warn('Firestore persistence failed: Multiple tabs open');
-  } else if (err.code === 'unimplemented') {
-    // The current browser does not support persistence
-    console.warn('Firestore persistence not available in this browser');
-  }
-});
+// Offline demo mode: open any page with ?backend=memory to run the portals
+// on an in-memory store kept in this browser (no Firebase project needed),
+// and ?backend=firestore to switch back. See backend/memory.js
+const BACKEND_KEY = 'docere.backend';
+const DEMO_DATA_KEY = 'docere.demoData';
+const backendParam = new URLSearchParams(window.location.search).get('backend');
+if (backendParam) {
+  localStorage.setItem(BACKEND_KEY, backendParam);
+}
 
-// Export db and auth for use in other modules
-window.db = db;
-window.auth = auth;
+// Export db, auth, storage and the backend for use in other modules
+if (localStorage.getItem(BACKEND_KEY) === 'memory') {
+  window.backendModule.useBackend(window.memoryBackendModule.createMemoryBackend({ storageKey: DEMO_DATA_KEY }));
+  console.warn('Using the in-memory demo backend; data stays in this browser');
+} else {
+  window.backendModule.useBackend(window.backendModule.createFirestoreBackend(firebaseConfig, {
+    emulators: localStorage.getItem(EMULATORS_KEY) === 'on'
+  }));
+}
 
-/* 
- * FIRESTORE SECURITY RULES (Set these in Firebase Console > Firestore > Rules):
- * 
- * rules_version = '2';
- * service cloud.firestore {
- *   match /databases/{database}/documents {
- *     // Allow read/write access to all documents
- *     // NOTE: This is for development. In production, you should add authentication
- *     // and proper authorization rules based on user roles
- *     match /{document=**} {
- *       allow read, write: if true;
- *     }
- *   }
- * }
+/*
+ * FIRESTORE SECURITY RULES:
+ *
+ * The rules live in firestore.rules and are deployed with
+ * `firebase deploy --only firestore:rules`. They enforce the same
+ * teacher/student/parent permissions the modules check in the browser
+ * (teachers manage only their own classes, students write only their own
+ * records, parents read only their linked children's data), and the
+ * attendance window: a student's mark is only accepted while the session
+ * is open and request.time is before its endTime. Expired sessions are
+ * closed by the closeExpiredAttendance function in functions/.
+ *
+ * Submission attachments are guarded by storage.rules
+ * (`firebase deploy --only storage`): only the submitting student may
+ * upload, within the size and type limits, and only they and the class's
+ * teacher may download.
  */
-
-
@@ -0,0 +1,73 @@
+/**
+ * Attendance Records
+ *
+ * Reading a day's attendance records and deciding who was absent, shared
+ * by the browser (attendance.js loads this file as window.absencesModule)
+ * and the Cloud Functions (closeSession), so a session closed by the
+ * teacher and one closed by closeExpiredAttendance record the same absences.
+ * Kept in functions/ so it is deployed with them.
+ */
+
+/**
+ * Converts an attendance/{date} document into a list of per-student records
+ * Records are keyed by uid (records without a status predate statuses and
+ * count as present); names in the legacy `students` array are returned
+ * with uid null and legacy: true so views can flag them
+ * @param {Object} data - Attendance document data
+ * @returns {Array<Object>} - [{ uid, name, status, reason, legacy }]
+ */
+function getAttendanceEntries(data) {
+  const records = (data && data.records) || {};
+  const entries = Object.keys(records).map(uid => ({
+    uid: uid,
+    name: records[uid].name || '',
+    status: records[uid].status || 'present',
+    reason: records[uid].reason || '',
+    legacy: false
+  }));
+  ((data && data.students) || []).forEach(name => {
+    entries.push({ uid: null, name: name, status: 'present', reason: '', legacy: true });
+  });
+  return entries;
+}
+
+/**
+ * Finds a roster student's entry in a day's attendance entries
+ * Linked students are matched by uid (or a legacy name-only entry);
+ * unlinked students are matched by name
+ * @param {Object} student - Roster entry ({ uid, name })
+ * @param {Array} entries - Entries from getAttendanceEntries
+ * @returns {Object|null} - Matching entry or null if the student has no record
+ */
+function findStudentEntry(student, entries) {
+  const normalize = (name) => (name || '').trim().toLowerCase();
+  const byUid = student.uid && entries.find(entry => entry.uid === student.uid);
+  if (byUid) return byUid;
+  return entries.find(entry => (!student.uid || entry.legacy) &&
+    normalize(entry.name) === normalize(student.name)) || null;
+}
+
+/**
+ * Gets the roster students to record as absent when a session closes:
+ * those linked to an account who have no entry for the day
+ * @param {Array<Object>} roster - Roster entries ({ uid, name })
+ * @param {Object|null} data - The day's attendance document data, or null if there is none
+ * @returns {Array<Object>} - The absent roster entries
+ */
+function findAbsentStudents(roster, data) {
+  const entries = getAttendanceEntries(data);
+  return roster.filter(student => student.uid && !findStudentEntry(student, entries));
+}
+
+// Export functions for use in attendance.js and the Cloud Functions
+if (typeof window !== 'undefined') {
+  window.absencesModule = {
+    getAttendanceEntries,
+    findStudentEntry,
+    findAbsentStudents
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { getAttendanceEntries, findStudentEntry, findAbsentStudents };
+}
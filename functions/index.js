@@ -0,0 +1,88 @@
+/**
+ * Docere Cloud Functions
+ *
+ * Server-side jobs that must not depend on a browser being open:
+ * - Closing attendance sessions whose endTime has passed, recording
+ *   absences for the roster and discarding the session codes
+ * - Copying each user's role and account status into their Firebase Auth
+ *   custom claims, which the security rules and the portals
+ *   (auth/permissions.js) read from the ID token instead of fetching the
+ *   profile, and disabling the Auth accounts of disabled users
+ *
+ * Run locally with `npm run serve` (Firebase emulators) and trigger the
+ * scheduled job from `npm run shell` with `closeExpiredAttendance()`.
+ * syncRoleClaims runs in the emulator whenever a users/{uid} document changes.
+ */
+
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const logger = require('firebase-functions/logger');
+const admin = require('firebase-admin');
+const { closeSession } = require('./sessions');
+
+admin.initializeApp();
+const db = admin.firestore();
+
+/**
+ * Runs every minute and closes every attendance session past its endTime
+ */
+exports.closeExpiredAttendance = onSchedule('every 1 minutes', async () => {
+  const expired = await db.collectionGroup('attendance')
+    .where('status', '==', 'open')
+    .where('endTime', '<=', admin.firestore.Timestamp.now())
+    .get();
+
+  // Day documents also carry status/endTime; only sessions are closed here.
+  // The pre-class attendance/current is not under a class and is left alone
+  const sessions = expired.docs.filter((doc) => doc.id === 'current' && doc.ref.parent.parent);
+  for (const session of sessions) {
+    const classId = session.ref.parent.parent.id;
+    try {
+      await closeSession(session.ref, { db: db, FieldValue: admin.firestore.FieldValue });
+      logger.info(`Closed expired attendance for class ${classId}`);
+    } catch (error) {
+      logger.error(`Error closing attendance for class ${classId}`, error);
+    }
+  }
+});
+
+/**
+ * Keeps the role and status custom claims in step with users/{uid}.role and
+ * users/{uid}.status, and disables the Firebase Auth account while its
+ * status is 'disabled' (revoking its refresh tokens, so it is signed out
+ * within the hour its ID token stays valid)
+ * Once the claims are set, claimsRole and claimsStatus on the profile record
+ * what they carry; signed-in portals watch for them and refresh their ID
+ * token. That write triggers this function again, which then has nothing to do
+ */
+exports.syncRoleClaims = onDocumentWritten('users/{userId}', async (event) => {
+  const uid = event.params.userId;
+  const after = event.data.after.exists ? event.data.after.data() : null;
+  const role = after ? after.role || null : null;
+  const status = after ? after.status || 'active' : null;
+  const claimsStatus = after ? after.claimsStatus || 'active' : null;
+
+  if (after && (after.claimsRole || null) === role && claimsStatus === status) return;
+
+  try {
+    await admin.auth().setCustomUserClaims(uid, role ? { role: role, status: status } : null);
+    if (after && (status === 'disabled') !== (claimsStatus === 'disabled')) {
+      await admin.auth().updateUser(uid, { disabled: status === 'disabled' });
+      if (status === 'disabled') {
+        await admin.auth().revokeRefreshTokens(uid);
+      }
+    }
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') return;
+    throw error;
+  }
+
+  if (after) {
+    await event.data.after.ref.update({
+      claimsRole: role,
+      claimsStatus: status,
+      claimsUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+  logger.info(`Set role claims for ${uid} to ${role} (${status})`);
+});
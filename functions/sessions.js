@@ -0,0 +1,73 @@
+/**
+ * Attendance sessions
+ *
+ * Closing a session once its window has passed, used by the
+ * closeExpiredAttendance scheduled function. Takes the Firestore instance
+ * rather than initialising firebase-admin itself so it can be tested
+ * against the in-memory backend (test/backend/).
+ */
+
+const { findAbsentStudents } = require('./absences');
+
+/**
+ * Closes one expired session: marks the session and its day closed,
+ * records 'absent' for linked roster students without a record (in the
+ * day's records and in each student's studentAttendance document) and
+ * deletes the day's session codes. Who is absent is decided by
+ * findAbsentStudents, as when the teacher closes the session
+ * @param {FirebaseFirestore.DocumentReference} currentRef - classes/{classId}/attendance/current
+ * @param {Object} firestore - { db, FieldValue } from firebase-admin (or a
+ *   backend with the same API, in tests)
+ */
+async function closeSession(currentRef, { db, FieldValue }) {
+  const classRef = currentRef.parent.parent;
+  const attendance = classRef.collection('attendance');
+
+  const closedDate = await db.runTransaction(async (transaction) => {
+    const current = await transaction.get(currentRef);
+    if (!current.exists || current.data().status !== 'open') return null;
+
+    const { date, endTime } = current.data();
+    if (endTime.toMillis() > Date.now()) return null;
+
+    const dateRef = attendance.doc(date);
+    const [dateDoc, roster] = await Promise.all([
+      transaction.get(dateRef),
+      transaction.get(classRef.collection('roster').where('uid', '!=', null))
+    ]);
+    const students = roster.docs.map(doc => doc.data());
+
+    const absences = {};
+    findAbsentStudents(students, dateDoc.exists ? dateDoc.data() : null).forEach((student) => {
+      absences[student.uid] = {
+        name: student.name || '',
+        status: 'absent',
+        markedAt: FieldValue.serverTimestamp()
+      };
+    });
+
+    transaction.update(currentRef, {
+      status: 'closed',
+      timestamp: FieldValue.serverTimestamp()
+    });
+    transaction.set(dateRef, {
+      status: 'closed',
+      records: absences,
+      timestamp: FieldValue.serverTimestamp()
+    }, { merge: true });
+    Object.keys(absences).forEach((uid) => {
+      transaction.set(classRef.collection('studentAttendance').doc(uid), {
+        days: { [date]: { status: 'absent' } }
+      }, { merge: true });
+    });
+    return date;
+  });
+
+  if (!closedDate) return;
+  const codes = await classRef.collection('attendanceCodes').where('date', '==', closedDate).get();
+  const batch = db.batch();
+  codes.forEach((doc) => batch.delete(doc.ref));
+  await batch.commit();
+}
+
+module.exports = { closeSession };
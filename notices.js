@@ -0,0 +1,508 @@
+/**
+ * Notices Module
+ *
+ * Handles the class notice board using Firestore
+ * (classes/{classId}/notices/{id}):
+ * - Several notices can be up at once; pinned notices are listed first
+ * - A notice can be scheduled to go up later (publishAt) and to come down
+ *   after a date (expiresAt); expired notices stay in the board's history
+ * - Teachers can pin, unpin and take down notices
+ * - Each notice has an audience: everyone in the class, students only or
+ *   parents only, optionally narrowed to chosen students (and their
+ *   parents). Students and parents only query the notices meant for them,
+ *   which is all firestore.rules lets them read: targeted notices list
+ *   their students in studentIds and those students' parents, as linked
+ *   when the notice was posted, in parentIds
+ *
+ * The notices/current document written by earlier versions is read as an
+ * ordinary notice, published when it was posted.
+ */
+
+// Longest delay setTimeout accepts (about 24 days)
+const MAX_TIMER_MS = 2147483647;
+
+// Who a notice is for, narrowed by studentIds when that list is not empty
+const NOTICE_AUDIENCES = ['everyone', 'students', 'parents'];
+
+/**
+ * Gets the notices collection for a class
+ */
+function noticesCollection(classId) {
+  return window.classesModule.classCollection(classId, 'notices');
+}
+
+/**
+ * Converts a Firestore Timestamp or Date to a Date (null if unset)
+ */
+function toDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  return value.toDate ? value.toDate() : null;
+}
+
+/**
+ * Reads a notice document, filling in fields older notices lack
+ */
+function readNotice(doc) {
+  const data = doc.data();
+  // A notice that was just posted has no server timestamp yet
+  const timestamp = toDate(data.timestamp) || new Date();
+  return {
+    id: doc.id,
+    text: data.text || '',
+    pinned: data.pinned === true,
+    audience: NOTICE_AUDIENCES.includes(data.audience) ? data.audience : 'everyone',
+    studentIds: Array.isArray(data.studentIds) ? data.studentIds : [],
+    publishAt: toDate(data.publishAt) || timestamp,
+    expiresAt: toDate(data.expiresAt),
+    createdBy: data.createdBy || null,
+    timestamp: timestamp
+  };
+}
+
+/**
+ * Gets whether a notice is waiting to go up, up, or expired
+ * @param {Object} notice - Notice from watchNotices
+ * @param {Date} [now] - Time to check at (default: now)
+ * @returns {string} - 'scheduled', 'active' or 'expired'
+ */
+function getNoticeStatus(notice, now = new Date()) {
+  if (notice.publishAt > now) return 'scheduled';
+  if (notice.expiresAt && notice.expiresAt <= now) return 'expired';
+  return 'active';
+}
+
+/**
+ * Checks whether a notice is meant for a viewer
+ * Teachers see every notice of their class
+ * @param {Object} notice - Notice from watchNotices
+ * @param {Object} viewer - { role, uid, studentIds: children a parent is viewing }
+ * @returns {boolean}
+ */
+function isNoticeForViewer(notice, viewer) {
+  if (!viewer || viewer.role === 'teacher') return true;
+
+  if (viewer.role === 'student') {
+    if (notice.audience === 'parents') return false;
+    return notice.studentIds.length === 0 || notice.studentIds.includes(viewer.uid);
+  }
+
+  if (viewer.role === 'parent') {
+    if (notice.audience === 'students') return false;
+    return notice.studentIds.length === 0
+      || (viewer.studentIds || []).some(id => notice.studentIds.includes(id));
+  }
+
+  return false;
+}
+
+/**
+ * Gets the parents linked to any of the given students in a class
+ * @param {string} classId - Class ID
+ * @param {Array<string>} studentIds - Student user IDs
+ * @returns {Promise<Array<string>>} - Parent user IDs
+ */
+async function getParentIds(classId, studentIds) {
+  if (studentIds.length === 0) return [];
+  const links = await db.collection('parentLinks').where('classId', '==', classId).get();
+  const parentIds = new Set();
+  links.forEach((doc) => {
+    const link = doc.data();
+    if (studentIds.includes(link.studentId)) parentIds.add(link.parentId);
+  });
+  return [...parentIds];
+}
+
+/**
+ * Builds the queries for the notices a student or parent may read: those
+ * for their whole audience, and those naming them (see isNoticeForViewer).
+ * Teachers, and callers without a viewer, query the whole collection
+ * @param {string} classId - Class ID
+ * @param {Object} [viewer] - { role, uid }
+ * @returns {Array} - Firestore queries
+ */
+function viewerQueries(classId, viewer) {
+  const collection = noticesCollection(classId);
+  if (!viewer || (viewer.role !== 'student' && viewer.role !== 'parent')) {
+    return [collection];
+  }
+
+  const audiences = viewer.role === 'student' ? ['everyone', 'students'] : ['everyone', 'parents'];
+  const forAudience = collection.where('audience', 'in', audiences);
+  const queries = [forAudience.where('targeted', '==', false)];
+  if (viewer.uid) {
+    queries.push(forAudience.where(viewer.role === 'student' ? 'studentIds' : 'parentIds', 'array-contains', viewer.uid));
+  }
+  return queries;
+}
+
+/**
+ * Describes who a notice is for (e.g. "Parents of 3 students")
+ */
+function describeAudience(notice) {
+  const count = notice.studentIds.length;
+  const some = `${count} student${count === 1 ? '' : 's'}`;
+  if (notice.audience === 'students') return count ? some : 'Students';
+  if (notice.audience === 'parents') return count ? `Parents of ${some}` : 'Parents';
+  return count ? `${some} and their parents` : 'Everyone';
+}
+
+/**
+ * Sorts notices pinned first, then newest first
+ */
+function sortNotices(notices) {
+  return [...notices].sort((a, b) =>
+    (b.pinned - a.pinned) || (b.publishAt - a.publishAt)
+  );
+}
+
+/**
+ * Posts a notice to a class's notice board
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {string} noticeText - Notice content
+ * @param {Object} [options] - { pinned, publishAt: Date to go up (default: now),
+ *   expiresAt: Date to come down (default: never), audience: 'everyone',
+ *   'students' or 'parents' (default: 'everyone'), studentIds: limit the
+ *   notice to these students and/or their parents (default: whole class) }
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function postNotice(classId, noticeText, options = {}) {
+  // Check authentication and permission
+  const { user, error: authError } = await window.permissionsModule.requirePermission('post', 'notice', 'post notices');
+  if (authError) return authError;
+
+  if (!classId) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please select a class first.');
+  }
+
+  const text = (noticeText || '').trim();
+
+  if (!text) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please enter a notice');
+  }
+
+  const publishAt = options.publishAt || null;
+  const expiresAt = options.expiresAt || null;
+  if ((publishAt && isNaN(publishAt.getTime())) || (expiresAt && isNaN(expiresAt.getTime()))) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please enter a valid date and time.');
+  }
+  if (expiresAt && expiresAt <= (publishAt || new Date())) {
+    return window.resultsModule.failure('INVALID_INPUT', 'The expiry must be after the notice goes up.');
+  }
+
+  const audience = options.audience || 'everyone';
+  if (!NOTICE_AUDIENCES.includes(audience)) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please choose who the notice is for.');
+  }
+
+  const studentIds = options.studentIds || [];
+  if (options.studentIds && studentIds.length === 0) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please choose at least one student.');
+  }
+
+  try {
+    const parentIds = audience === 'students' ? [] : await getParentIds(classId, studentIds);
+    const timestamp = backend.FieldValue.serverTimestamp();
+    await noticesCollection(classId).add({
+      text: text,
+      pinned: options.pinned === true,
+      audience: audience,
+      studentIds: studentIds,
+      targeted: studentIds.length > 0,
+      parentIds: parentIds,
+      publishAt: publishAt ? backend.Timestamp.fromDate(publishAt) : timestamp,
+      expiresAt: expiresAt ? backend.Timestamp.fromDate(expiresAt) : null,
+      createdBy: user.uid,
+      timestamp: timestamp
+    });
+
+    console.log('Notice posted');
+    return window.resultsModule.success(publishAt && publishAt > new Date() ? 'Notice scheduled.' : 'Notice posted.');
+  } catch (error) {
+    console.error('Error posting notice:', error);
+    return window.resultsModule.fromError(error, 'Failed to post notice. Please try again.');
+  }
+}
+
+/**
+ * Pins a notice to the top of the board, or unpins it
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {string} noticeId - Notice ID
+ * @param {boolean} pinned - true to pin
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function setNoticePinned(classId, noticeId, pinned) {
+  // Check authentication and permission
+  const { error: authError } = await window.permissionsModule.requirePermission('update', 'notice', 'update notices');
+  if (authError) return authError;
+
+  try {
+    await noticesCollection(classId).doc(noticeId).update({ pinned: pinned === true });
+    return window.resultsModule.success();
+  } catch (error) {
+    console.error('Error pinning notice:', error);
+    return window.resultsModule.fromError(error, 'Failed to update notice. Please try again.');
+  }
+}
+
+/**
+ * Takes a notice down now by expiring it; it stays in the history
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {string} noticeId - Notice ID
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function takeDownNotice(classId, noticeId) {
+  // Check authentication and permission
+  const { error: authError } = await window.permissionsModule.requirePermission('update', 'notice', 'take down notices');
+  if (authError) return authError;
+
+  try {
+    await noticesCollection(classId).doc(noticeId).update({
+      expiresAt: backend.FieldValue.serverTimestamp()
+    });
+    return window.resultsModule.success('Notice taken down.');
+  } catch (error) {
+    console.error('Error taking down notice:', error);
+    return window.resultsModule.fromError(error, 'Failed to take down notice. Please try again.');
+  }
+}
+
+/**
+ * Sets up real-time listener for the notices of a class, newest first:
+ * every notice, or only those a student or parent viewer may read
+ * Also calls back when a scheduled notice goes up or one expires, so
+ * callers can re-check getNoticeStatus
+ * Callback receives [{ id, text, pinned, audience, studentIds, publishAt, expiresAt,
+ * createdBy, timestamp }]
+ * with dates as Date objects
+ * @param {string} classId - Class ID
+ * @param {Function} updateCallback
+ * @param {Object} [viewer] - { role, uid } (see viewerQueries)
+ * @returns {Function} - Cleanup function removing the listeners and timer
+ */
+function watchNotices(classId, updateCallback, viewer) {
+  let notices = [];
+  let timer = null;
+  // Latest notices from each query, merged by ID
+  const results = [];
+
+  function emit() {
+    clearTimeout(timer);
+    updateCallback(notices);
+
+    const now = Date.now();
+    const upcoming = notices
+      .flatMap(notice => [notice.publishAt, notice.expiresAt])
+      .filter(date => date && date.getTime() > now)
+      .map(date => date.getTime());
+    if (upcoming.length > 0) {
+      timer = setTimeout(emit, Math.min(Math.min(...upcoming) - now + 1000, MAX_TIMER_MS));
+    }
+  }
+
+  function update(index, queryNotices) {
+    results[index] = queryNotices;
+    const byId = new Map();
+    results.forEach(list => (list || []).forEach(notice => byId.set(notice.id, notice)));
+    notices = [...byId.values()].sort((a, b) => b.publishAt - a.publishAt);
+    emit();
+  }
+
+  const unsubscribes = viewerQueries(classId, viewer).map((query, index) => query.onSnapshot((snapshot) => {
+    update(index, snapshot.docs.map(readNotice));
+  }, (error) => {
+    console.error('Error watching notices:', error);
+    update(index, []);
+  }));
+
+  return () => {
+    unsubscribes.forEach(unsubscribe => unsubscribe());
+    clearTimeout(timer);
+  };
+}
+
+/**
+ * Sets up real-time listener for the notices currently up that are meant
+ * for the viewer, pinned first
+ * Callback receives the same notice objects as watchNotices
+ * @param {string} classId - Class ID
+ * @param {Object} viewer - { role, uid, studentIds } (see isNoticeForViewer)
+ * @param {Function} updateCallback
+ * @returns {Function} - Cleanup function
+ */
+function watchNotice(classId, viewer, updateCallback) {
+  return watchNotices(classId, (notices) => {
+    const now = new Date();
+    updateCallback(sortNotices(notices.filter(notice =>
+      getNoticeStatus(notice, now) === 'active' && isNoticeForViewer(notice, viewer)
+    )));
+  }, viewer);
+}
+
+/**
+ * Renders a list of notices into a container
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array} notices - Notices to show
+ * @param {string} emptyText - Text shown when there are none
+ */
+function renderNotices(container, notices, emptyText) {
+  if (!container) return;
+
+  container.innerHTML = '';
+  if (notices.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'text-zinc-500';
+    empty.innerText = emptyText;
+    container.appendChild(empty);
+    return;
+  }
+
+  const now = new Date();
+  notices.forEach((notice) => {
+    const item = document.createElement('div');
+    const expired = getNoticeStatus(notice, now) === 'expired';
+    item.className = `p-3 rounded-lg border ${notice.pinned && !expired
+      ? 'bg-indigo-500/10 border-indigo-800'
+      : 'bg-zinc-900 border-zinc-800'}`;
+    if (notice.pinned && !expired) {
+      const pin = document.createElement('p');
+      pin.className = 'text-xs font-medium text-indigo-300 mb-1';
+      pin.innerText = 'PINNED';
+      item.appendChild(pin);
+    }
+    const text = document.createElement('p');
+    text.className = `whitespace-pre-line ${expired ? 'text-zinc-400' : 'text-zinc-200'}`;
+    text.innerText = notice.text;
+    const meta = document.createElement('p');
+    meta.className = 'text-xs text-zinc-500 mt-1';
+    meta.innerText = `Posted ${notice.publishAt.toLocaleString()}`;
+    if (notice.expiresAt) {
+      meta.innerText += `${expired ? ' · Expired ' : ' · Until '}${notice.expiresAt.toLocaleString()}`;
+    }
+    item.appendChild(text);
+    item.appendChild(meta);
+    container.appendChild(item);
+  });
+}
+
+/**
+ * Sets up a notice board: the notices currently up, and a history of every
+ * published notice (including expired ones) shown by a toggle button.
+ * Only notices meant for the viewer are shown
+ * @param {Object} options - { classId, viewer, container, historyButton, historyContainer }
+ * @returns {Function} - Cleanup function removing the listener and handlers
+ */
+function mountNoticeBoard(options) {
+  const { classId, viewer, container, historyButton, historyContainer } = options;
+  let notices = [];
+
+  function render() {
+    const now = new Date();
+    renderNotices(
+      container,
+      sortNotices(notices.filter(notice => getNoticeStatus(notice, now) === 'active')),
+      'No notice'
+    );
+    renderNotices(
+      historyContainer,
+      notices.filter(notice => getNoticeStatus(notice, now) !== 'scheduled'),
+      'No past notices'
+    );
+    if (historyButton) {
+      historyButton.innerText = historyContainer && !historyContainer.classList.contains('hidden')
+        ? 'Hide history'
+        : 'History';
+    }
+  }
+
+  function toggleHistory() {
+    if (historyContainer) historyContainer.classList.toggle('hidden');
+    render();
+  }
+
+  const unsubscribe = watchNotices(classId, (updated) => {
+    notices = updated.filter(notice => isNoticeForViewer(notice, viewer));
+    render();
+  }, viewer);
+  if (historyButton) historyButton.addEventListener('click', toggleHistory);
+
+  return () => {
+    unsubscribe();
+    if (historyButton) historyButton.removeEventListener('click', toggleHistory);
+  };
+}
+
+/**
+ * Adds the targeted and parentIds fields to the notices of a class posted
+ * before students and parents could only query the notices meant for them;
+ * until then those notices are hidden from them. Runs once per class; a
+ * marker in migrations/noticeAudience_{classId} prevents re-runs.
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ */
+async function migrateNoticeAudience(classId) {
+  const user = window.auth && window.auth.currentUser;
+  if (!user || !classId) return;
+
+  const { error: authError } = await window.permissionsModule.requirePermission('run', 'migration', 'migrate data');
+  if (authError) return;
+
+  const markerRef = db.collection('migrations').doc(`noticeAudience_${classId}`);
+
+  try {
+    const marker = await markerRef.get();
+    if (marker.exists) return;
+
+    const snapshot = await noticesCollection(classId).get();
+    const toMigrate = snapshot.docs.filter(doc => typeof doc.data().targeted !== 'boolean');
+
+    // Firestore batches are limited to 500 writes
+    let batch = db.batch();
+    let pending = 0;
+    for (const doc of toMigrate) {
+      const notice = readNotice(doc);
+      batch.update(doc.ref, {
+        audience: notice.audience,
+        studentIds: notice.studentIds,
+        targeted: notice.studentIds.length > 0,
+        parentIds: notice.audience === 'students' ? [] : await getParentIds(classId, notice.studentIds)
+      });
+      pending++;
+      if (pending === 450) {
+        await batch.commit();
+        batch = db.batch();
+        pending = 0;
+      }
+    }
+    if (pending > 0) {
+      await batch.commit();
+    }
+
+    await markerRef.set({
+      classId: classId,
+      migratedBy: user.uid,
+      timestamp: backend.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    console.error('Error migrating notice audiences:', error);
+  }
+}
+
+// Export functions for use in portal pages
+window.noticesModule = {
+  NOTICE_AUDIENCES,
+  getNoticeStatus,
+  isNoticeForViewer,
+  describeAudience,
+  postNotice,
+  setNoticePinned,
+  takeDownNotice,
+  watchNotices,
+  watchNotice,
+  renderNotices,
+  mountNoticeBoard,
+  migrateNoticeAudience
+};
@@ -0,0 +1,300 @@
+/**
+ * Notifications Module
+ *
+ * Handles in-app notifications using Firestore (notifications/{id}):
+ * - Teachers send assignment reminders to students who have not submitted,
+ *   and optionally to those students' linked parents
+ * - Students and parents get a bell with an unread badge in their portal
+ * - Each notification records when it reached the recipient's portal
+ *   (deliveredAt) and when they read it (readAt), which the teacher sees
+ */
+
+// Most recent notifications shown to a recipient
+const NOTIFICATION_LIMIT = 50;
+
+/**
+ * Gets the notifications collection
+ */
+function notificationsCollection() {
+  return db.collection('notifications');
+}
+
+/**
+ * Sends a reminder about an assignment to students who have not submitted it
+ * Roster students without an account cannot be notified and are skipped
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {Object} assignment - Assignment ({ id, title, dueDate })
+ * @param {Array} students - Roster entries of students to remind ({ uid, name })
+ * @param {Object} [options] - { includeParents: also notify the students' linked parents }
+ * @returns {Promise<Object>} - Result (see results.js); data is { students, parents, skipped } counts
+ */
+async function sendReminder(classId, assignment, students, options = {}) {
+  // Check authentication and permission
+  const { user, error: authError } = await window.permissionsModule.requirePermission('send', 'reminder', 'send reminders');
+  if (authError) return authError;
+
+  if (!classId || !assignment) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please select an assignment first.');
+  }
+
+  const recipients = students.filter(student => student.uid);
+  const skipped = students.length - recipients.length;
+  if (students.length === 0) {
+    return window.resultsModule.success('Everyone has submitted - no reminders needed.', { students: 0, parents: 0, skipped: 0 });
+  }
+  if (recipients.length === 0) {
+    return window.resultsModule.failure('NOT_FOUND', 'None of the students who have not submitted have an account yet.');
+  }
+
+  const dueText = window.assignmentsModule ? window.assignmentsModule.formatDueTime(assignment) : assignment.dueDate;
+  const base = {
+    type: 'reminder',
+    classId: classId,
+    assignmentId: assignment.id,
+    createdBy: user.uid,
+    deliveredAt: null,
+    readAt: null,
+    timestamp: backend.FieldValue.serverTimestamp()
+  };
+
+  try {
+    const notifications = recipients.map(student => ({
+      ...base,
+      recipientId: student.uid,
+      recipientRole: 'student',
+      recipientName: student.name || '',
+      studentId: student.uid,
+      studentName: student.name || '',
+      title: `Reminder: ${assignment.title}`,
+      message: `You have not submitted "${assignment.title}" yet. It is due ${dueText}.`
+    }));
+
+    if (options.includeParents) {
+      const remindedIds = new Set(recipients.map(student => student.uid));
+      const links = await db.collection('parentLinks').where('classId', '==', classId).get();
+      links.forEach((doc) => {
+        const link = doc.data();
+        if (!remindedIds.has(link.studentId)) return;
+        const student = recipients.find(s => s.uid === link.studentId);
+        notifications.push({
+          ...base,
+          recipientId: link.parentId,
+          recipientRole: 'parent',
+          recipientName: `Parent of ${student.name || link.studentName || 'student'}`,
+          studentId: link.studentId,
+          studentName: student.name || link.studentName || '',
+          title: `Reminder: ${assignment.title}`,
+          message: `${student.name || link.studentName || 'Your child'} has not submitted "${assignment.title}" yet. It is due ${dueText}.`
+        });
+      });
+    }
+
+    // Firestore batches are limited to 500 writes
+    for (let i = 0; i < notifications.length; i += 450) {
+      const batch = db.batch();
+      notifications.slice(i, i + 450).forEach(notification => {
+        batch.set(notificationsCollection().doc(), notification);
+      });
+      await batch.commit();
+    }
+
+    const parents = notifications.filter(n => n.recipientRole === 'parent').length;
+    let summary = `Reminder sent to ${recipients.length} student${recipients.length === 1 ? '' : 's'}`;
+    if (parents) summary += ` and ${parents} parent${parents === 1 ? '' : 's'}`;
+    if (skipped) summary += `. ${skipped} student${skipped === 1 ? ' has' : 's have'} no account and could not be reminded`;
+    return window.resultsModule.success(summary + '.', { students: recipients.length, parents: parents, skipped: skipped });
+  } catch (error) {
+    console.error('Error sending reminder:', error);
+    return window.resultsModule.fromError(error, 'Failed to send reminder. Please try again.');
+  }
+}
+
+/**
+ * Sets up real-time listener for the reminders a teacher sent about an assignment
+ * Callback receives [{ id, recipientName, recipientRole, timestamp, deliveredAt, readAt }], newest first
+ */
+function watchReminders(classId, assignmentId, updateCallback) {
+  const user = window.auth && window.auth.currentUser;
+  if (!user || !classId || !assignmentId) {
+    updateCallback([]);
+    return () => {};
+  }
+
+  return notificationsCollection()
+    .where('createdBy', '==', user.uid)
+    .where('classId', '==', classId)
+    .where('assignmentId', '==', assignmentId)
+    .onSnapshot((snapshot) => {
+      const reminders = [];
+      snapshot.forEach((doc) => {
+        reminders.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+      const time = (reminder) => reminder.timestamp && reminder.timestamp.toMillis ? reminder.timestamp.toMillis() : Date.now();
+      reminders.sort((a, b) => time(b) - time(a));
+      updateCallback(reminders);
+    }, (error) => {
+      console.error('Error watching reminders:', error);
+      updateCallback([]);
+    });
+}
+
+/**
+ * Sets up real-time listener for the signed-in user's notifications
+ * Newly received notifications are marked delivered
+ * Callback receives [{ id, title, message, studentName, timestamp, readAt }], newest first
+ */
+function watchNotifications(userId, updateCallback) {
+  if (!userId) {
+    updateCallback([]);
+    return () => {};
+  }
+
+  return notificationsCollection()
+    .where('recipientId', '==', userId)
+    .orderBy('timestamp', 'desc')
+    .limit(NOTIFICATION_LIMIT)
+    .onSnapshot((snapshot) => {
+      const notifications = [];
+      const undelivered = [];
+      snapshot.forEach((doc) => {
+        const notification = { id: doc.id, ...doc.data() };
+        notifications.push(notification);
+        if (!notification.deliveredAt && !doc.metadata.hasPendingWrites) {
+          undelivered.push(doc.ref);
+        }
+      });
+
+      if (undelivered.length > 0) {
+        const batch = db.batch();
+        undelivered.forEach(ref => batch.update(ref, {
+          deliveredAt: backend.FieldValue.serverTimestamp()
+        }));
+        batch.commit().catch(error => console.error('Error marking notifications delivered:', error));
+      }
+
+      updateCallback(notifications);
+    }, (error) => {
+      console.error('Error watching notifications:', error);
+      updateCallback([]);
+    });
+}
+
+/**
+ * Marks notifications as read
+ * @param {Array} notifications - Notifications ({ id, readAt })
+ * @returns {Promise<boolean>} - true if saved, false otherwise
+ */
+async function markNotificationsRead(notifications) {
+  const unread = notifications.filter(notification => !notification.readAt);
+  if (unread.length === 0) return true;
+
+  try {
+    const batch = db.batch();
+    unread.forEach(notification => {
+      batch.update(notificationsCollection().doc(notification.id), {
+        deliveredAt: notification.deliveredAt || backend.FieldValue.serverTimestamp(),
+        readAt: backend.FieldValue.serverTimestamp()
+      });
+    });
+    await batch.commit();
+    return true;
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    return false;
+  }
+}
+
+/**
+ * Sets up a notification bell: unread badge on the button, and a panel
+ * listing the notifications that opens on click
+ * @param {Object} options - { userId, button, badge, panel }
+ * @returns {Function} - Cleanup function removing the listener and handlers
+ */
+function mountNotificationBell(options) {
+  const { userId, button, badge, panel } = options;
+  let notifications = [];
+
+  function render() {
+    const unread = notifications.filter(notification => !notification.readAt).length;
+    if (badge) {
+      badge.innerText = unread > 9 ? '9+' : String(unread);
+      badge.classList.toggle('hidden', unread === 0);
+    }
+    if (!panel) return;
+
+    panel.innerHTML = '';
+    const header = document.createElement('div');
+    header.className = 'flex items-center justify-between mb-2';
+    header.innerHTML = '<p class="text-xs font-medium text-zinc-500">NOTIFICATIONS</p>';
+    if (unread > 0) {
+      const markAll = document.createElement('button');
+      markAll.className = 'text-xs text-indigo-300 hover:text-indigo-200';
+      markAll.innerText = 'Mark all read';
+      markAll.addEventListener('click', () => markNotificationsRead(notifications));
+      header.appendChild(markAll);
+    }
+    panel.appendChild(header);
+
+    if (notifications.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'text-sm text-zinc-500';
+      empty.innerText = 'No notifications';
+      panel.appendChild(empty);
+      return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'space-y-2 max-h-72 overflow-y-auto custom-scrollbar';
+    notifications.forEach(notification => {
+      const item = document.createElement('li');
+      item.className = `p-3 rounded-lg border cursor-pointer ${notification.readAt
+        ? 'bg-zinc-900 border-zinc-800 text-zinc-400'
+        : 'bg-indigo-500/10 border-indigo-800 text-zinc-100'}`;
+      const title = document.createElement('p');
+      title.className = 'text-sm font-semibold';
+      title.innerText = notification.title || 'Notification';
+      const message = document.createElement('p');
+      message.className = 'text-sm';
+      message.innerText = notification.message || '';
+      item.appendChild(title);
+      item.appendChild(message);
+      if (notification.timestamp && notification.timestamp.toDate) {
+        const time = document.createElement('p');
+        time.className = 'text-xs text-zinc-500 mt-1';
+        time.innerText = notification.timestamp.toDate().toLocaleString();
+        item.appendChild(time);
+      }
+      item.addEventListener('click', () => markNotificationsRead([notification]));
+      list.appendChild(item);
+    });
+    panel.appendChild(list);
+  }
+
+  function toggle() {
+    if (panel) panel.classList.toggle('hidden');
+  }
+
+  const unsubscribe = watchNotifications(userId, (updated) => {
+    notifications = updated;
+    render();
+  });
+  if (button) button.addEventListener('click', toggle);
+
+  return () => {
+    unsubscribe();
+    if (button) button.removeEventListener('click', toggle);
+  };
+}
+
+// Export functions for use in portal pages
+window.notificationsModule = {
+  sendReminder,
+  watchReminders,
+  watchNotifications,
+  markNotificationsRead,
+  mountNotificationBell
+};
@@ -0,0 +1,371 @@
+/**
+ * Parent Linking Module
+ *
+ * Handles parent-to-child account linking using Firestore:
+ * - Teachers issue one-time link codes for students on their roster, and
+ *   can revoke them
+ * - Parents redeem a code to link to that student in that class
+ * - Parents list their linked children (one entry per child per class)
+ * - Teachers list the parents linked in a class and can remove them
+ *
+ * Alongside the links, classes/{classId}/parents/{parentUid} lists the
+ * children a parent is linked to in that class; the security rules use it
+ * to let linked parents read the class's assignments and notices.
+ */
+
+// Link codes stay valid for 7 days
+const LINK_CODE_TTL_DAYS = 7;
+
+// Unambiguous characters only (no 0/O, 1/I)
+const LINK_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Generates a random link or join code
+ * @param {number} length - Code length
+ * @returns {string}
+ */
+function generateCode(length = 6) {
+  const values = new Uint32Array(length);
+  window.crypto.getRandomValues(values);
+  return Array.from(values, (value) => LINK_CODE_ALPHABET[value % LINK_CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Gets the document listing the children a parent is linked to in a class
+ * @param {string} classId - Class ID
+ * @param {string} parentId - Parent user ID
+ * @returns {Object} - Firestore DocumentReference
+ */
+function parentAccessRef(classId, parentId) {
+  return window.classesModule.classCollection(classId, 'parents').doc(parentId);
+}
+
+/**
+ * Issues a link code a parent can use to link to a roster student
+ * The roster entry must be linked to a student account
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {Object} student - Roster entry ({ uid, name })
+ * @returns {Promise<Object>} - Result (see results.js); data is the link code
+ */
+async function createLinkCode(classId, student) {
+  // Check authentication and permission
+  const { user, error: authError } = await window.permissionsModule.requirePermission('create', 'linkCode', 'create link codes');
+  if (authError) return authError;
+
+  if (!classId || !student || !student.uid) {
+    return window.resultsModule.failure('INVALID_INPUT', 'This student has no account yet. Add their email to the roster once they sign up.');
+  }
+
+  const code = generateCode();
+  const expiresAt = backend.Timestamp.fromDate(
+    new Date(Date.now() + LINK_CODE_TTL_DAYS * 24 * 60 * 60 * 1000)
+  );
+
+  try {
+    await db.collection('linkCodes').doc(code).set({
+      classId: classId,
+      studentId: student.uid,
+      studentName: student.name || '',
+      createdBy: user.uid,
+      expiresAt: expiresAt,
+      used: false,
+      revoked: false,
+      timestamp: backend.FieldValue.serverTimestamp()
+    });
+    return window.resultsModule.success('', code);
+  } catch (error) {
+    console.error('Error creating link code:', error);
+    return window.resultsModule.fromError(error, 'Failed to create link code. Please try again.');
+  }
+}
+
+/**
+ * Redeems a link code, linking the signed-in parent to the student it was issued for
+ * Requires parent role
+ * @param {string} code - Link code from the teacher
+ * @returns {Promise<Object>} - Result (see results.js); data is the link ID
+ */
+async function redeemLinkCode(code) {
+  // Check authentication and permission
+  const { user, error: authError } = await window.permissionsModule.requirePermission('redeem', 'linkCode', 'link a child');
+  if (authError) return authError;
+
+  const codeTrimmed = (code || '').trim().toUpperCase();
+  if (!codeTrimmed) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please enter the link code from your child\'s teacher');
+  }
+
+  try {
+    const codeRef = db.collection('linkCodes').doc(codeTrimmed);
+    const parentName = await window.authModule.getDisplayName(user);
+
+    // The link and the used flag are written together, so a code can only
+    // ever be redeemed once
+    return await db.runTransaction(async (transaction) => {
+      const codeDoc = await transaction.get(codeRef);
+      if (!codeDoc.exists) {
+        return window.resultsModule.failure('INVALID_CODE', 'Invalid link code.');
+      }
+
+      const data = codeDoc.data();
+      if (data.used) {
+        return window.resultsModule.failure('ALREADY_USED', 'This link code has already been used.');
+      }
+      if (data.revoked) {
+        return window.resultsModule.failure('INVALID_CODE', 'This link code has been revoked. Please ask the teacher for a new one.');
+      }
+      if (data.expiresAt && data.expiresAt.toDate() < new Date()) {
+        return window.resultsModule.failure('INVALID_CODE', 'This link code has expired. Please ask the teacher for a new one.');
+      }
+
+      const linkId = `${user.uid}_${data.classId}_${data.studentId}`;
+      transaction.set(db.collection('parentLinks').doc(linkId), {
+        parentId: user.uid,
+        parentName: parentName,
+        studentId: data.studentId,
+        studentName: data.studentName,
+        classId: data.classId,
+        code: codeTrimmed,
+        timestamp: backend.FieldValue.serverTimestamp()
+      });
+      transaction.update(codeRef, {
+        used: true,
+        usedBy: user.uid,
+        usedAt: backend.FieldValue.serverTimestamp()
+      });
+      transaction.set(parentAccessRef(data.classId, user.uid), {
+        studentIds: backend.FieldValue.arrayUnion(data.studentId)
+      }, { merge: true });
+
+      return window.resultsModule.success(`Linked to ${data.studentName || 'your child'}!`, linkId);
+    });
+  } catch (error) {
+    console.error('Error redeeming link code:', error);
+    return window.resultsModule.fromError(error, 'Failed to link child. Please try again.');
+  }
+}
+
+/**
+ * Revokes an unused link code so it can no longer be redeemed
+ * Requires teacher role
+ * @param {string} code - Link code
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function revokeLinkCode(code) {
+  // Check authentication and permission
+  const { error: authError } = await window.permissionsModule.requirePermission('revoke', 'linkCode', 'revoke link codes');
+  if (authError) return authError;
+
+  try {
+    await db.collection('linkCodes').doc(code).update({
+      revoked: true,
+      revokedAt: backend.FieldValue.serverTimestamp()
+    });
+    return window.resultsModule.success(`Link code ${code} revoked.`);
+  } catch (error) {
+    console.error('Error revoking link code:', error);
+    return window.resultsModule.fromError(error, 'Failed to revoke link code. Please try again.');
+  }
+}
+
+/**
+ * Sets up real-time listener for the link codes a teacher issued for a class
+ * Each code has an active flag (not used, revoked or expired); newest first
+ * @param {string} classId - Class ID
+ * @param {string} teacherId - Teacher user ID
+ * @param {Function} updateCallback - Receives the codes
+ * @returns {Function} - Unsubscribe function
+ */
+function watchLinkCodes(classId, teacherId, updateCallback) {
+  if (!classId) {
+    updateCallback([]);
+    return () => {};
+  }
+
+  return db.collection('linkCodes')
+    .where('classId', '==', classId)
+    .where('createdBy', '==', teacherId)
+    .onSnapshot((snapshot) => {
+      const codes = [];
+      snapshot.forEach((doc) => {
+        const data = doc.data();
+        codes.push({
+          code: doc.id,
+          ...data,
+          active: !data.used && !data.revoked && !(data.expiresAt && data.expiresAt.toDate() < new Date())
+        });
+      });
+      codes.sort((a, b) => (b.timestamp ? b.timestamp.toMillis() : Date.now()) - (a.timestamp ? a.timestamp.toMillis() : Date.now()));
+      updateCallback(codes);
+    }, (error) => {
+      console.error('Error watching link codes:', error);
+      updateCallback([]);
+    });
+}
+
+/**
+ * Deletes a parent-child link and takes the child off the parent's list for the class
+ * @param {string} linkId - Link ID
+ * @returns {Promise<void>}
+ */
+async function deleteLink(linkId) {
+  const linkRef = db.collection('parentLinks').doc(linkId);
+  const link = await linkRef.get();
+  if (!link.exists) return;
+
+  const { parentId, classId, studentId } = link.data();
+  const batch = db.batch();
+  batch.delete(linkRef);
+  batch.set(parentAccessRef(classId, parentId), {
+    studentIds: backend.FieldValue.arrayRemove(studentId)
+  }, { merge: true });
+  await batch.commit();
+}
+
+/**
+ * Adds any linked child missing from the parent's list for their class,
+ * e.g. for links made before the lists existed
+ * @param {string} parentId - Parent user ID
+ * @param {Array} links - Links from watchLinkedChildren
+ * @returns {Promise<number>} - Number of children added
+ */
+async function syncParentAccess(parentId, links) {
+  let added = 0;
+  for (const link of links) {
+    try {
+      const access = await parentAccessRef(link.classId, parentId).get();
+      if (access.exists && (access.data().studentIds || []).includes(link.studentId)) continue;
+
+      await parentAccessRef(link.classId, parentId).set({
+        studentIds: backend.FieldValue.arrayUnion(link.studentId)
+      }, { merge: true });
+      added++;
+    } catch (error) {
+      console.error('Error updating parent access:', error);
+    }
+  }
+  return added;
+}
+
+/**
+ * Removes a parent-child link
+ * Requires parent role
+ * @param {string} linkId - Link ID
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function unlinkChild(linkId) {
+  const user = window.auth && window.auth.currentUser;
+  if (!user) {
+    return window.resultsModule.failure('NOT_AUTHENTICATED', 'You must be logged in to unlink a child.');
+  }
+
+  try {
+    await deleteLink(linkId);
+    return window.resultsModule.success('Child unlinked.');
+  } catch (error) {
+    console.error('Error unlinking child:', error);
+    return window.resultsModule.fromError(error, 'Failed to unlink child. Please try again.');
+  }
+}
+
+/**
+ * Sets up real-time listener for a parent's linked children
+ * Each entry is one child in one class: { id, studentId, studentName, classId }
+ */
+function watchLinkedChildren(parentId, updateCallback) {
+  return db.collection('parentLinks')
+    .where('parentId', '==', parentId)
+    .onSnapshot((snapshot) => {
+      const links = [];
+      snapshot.forEach((doc) => {
+        links.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+      links.sort((a, b) => (a.studentName || '').localeCompare(b.studentName || ''));
+      updateCallback(links);
+    }, (error) => {
+      console.error('Error watching linked children:', error);
+      updateCallback([]);
+    });
+}
+
+/**
+ * Sets up real-time listener for the parents linked to children in a class
+ * Used by the teacher portal; entries are { id, parentId, parentName, studentId, studentName }
+ */
+function watchClassParentLinks(classId, updateCallback) {
+  if (!classId) {
+    updateCallback([]);
+    return () => {};
+  }
+
+  return db.collection('parentLinks')
+    .where('classId', '==', classId)
+    .onSnapshot((snapshot) => {
+      const links = [];
+      snapshot.forEach((doc) => {
+        links.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+      links.sort((a, b) => (a.parentName || '').localeCompare(b.parentName || ''));
+      updateCallback(links);
+    }, (error) => {
+      console.error('Error watching class parent links:', error);
+      updateCallback([]);
+    });
+}
+
+/**
+ * Removes a parent from a class by deleting their link to a child in it
+ * Requires teacher role
+ * @param {string} linkId - Link ID
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function removeParentLink(linkId) {
+  // Check authentication and permission
+  const { error: authError } = await window.permissionsModule.requirePermission('manageRoster', 'class', 'remove parents');
+  if (authError) return authError;
+
+  try {
+    await deleteLink(linkId);
+    return window.resultsModule.success('Parent removed.');
+  } catch (error) {
+    console.error('Error removing parent link:', error);
+    return window.resultsModule.fromError(error, 'Failed to remove parent. Please try again.');
+  }
+}
+
+/**
+ * Gets the children a parent is linked to
+ * @param {string} parentId - Parent user ID
+ * @returns {Promise<Array>} - Link entries
+ */
+async function getLinkedChildren(parentId) {
+  try {
+    const snapshot = await db.collection('parentLinks').where('parentId', '==', parentId).get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  } catch (error) {
+    console.error('Error getting linked children:', error);
+    return [];
+  }
+}
+
+// Export functions for use in portal pages
+window.parentsModule = {
+  generateCode,
+  createLinkCode,
+  revokeLinkCode,
+  watchLinkCodes,
+  redeemLinkCode,
+  unlinkChild,
+  watchLinkedChildren,
+  syncParentAccess,
+  watchClassParentLinks,
+  removeParentLink,
+  getLinkedChildren
+};
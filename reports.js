@@ -0,0 +1,201 @@
+/**
+ * Attendance Reports Module
+ *
+ * Builds attendance history reports from the per-day attendance documents:
+ * - Day-by-student grid for a date range
+ * - Per-student attendance percentage and longest absence streak
+ *   (late counts as attended; excused days are left out of the percentage
+ *   and end an absence streak)
+ * - Class-wide daily attendance trend
+ * - Month calendar of a single student's attendance
+ *
+ * Only days on which attendance was taken count as school days.
+ */
+
+/**
+ * Formats a local date as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Builds a class attendance report
+ * @param {Array} roster - Roster entries ({ id, uid, name })
+ * @param {Array} days - Attendance days from attendanceModule.getAttendanceHistory
+ * @returns {Object} - { dates, students: [...], daily: [...] }
+ *   students[].byDate maps each date to a status (present, late, excused, absent);
+ *   students[].percentage is null when the student has no counted days;
+ *   daily[].total leaves excused students out, like the percentages
+ */
+function buildAttendanceReport(roster, days) {
+  const dates = days.map(day => day.date);
+
+  const students = roster.map(student => {
+    const byDate = {};
+    const counts = { present: 0, late: 0, excused: 0, absent: 0 };
+    let currentStreak = 0;
+    let longestAbsenceStreak = 0;
+
+    days.forEach(day => {
+      const status = window.attendanceModule.getStudentStatus(student, day.entries);
+      byDate[day.date] = status;
+      counts[status]++;
+      if (status === 'absent') {
+        currentStreak++;
+        longestAbsenceStreak = Math.max(longestAbsenceStreak, currentStreak);
+      } else {
+        currentStreak = 0;
+      }
+    });
+
+    const attendedCount = counts.present + counts.late;
+    const countedDays = dates.length - counts.excused;
+
+    return {
+      id: student.id,
+      uid: student.uid || null,
+      name: student.name,
+      byDate: byDate,
+      counts: counts,
+      presentCount: attendedCount,
+      percentage: countedDays > 0 ? Math.round((attendedCount / countedDays) * 100) : null,
+      longestAbsenceStreak: longestAbsenceStreak
+    };
+  });
+
+  const daily = dates.map(date => {
+    const presentCount = students.filter(student => ['present', 'late'].includes(student.byDate[date])).length;
+    const total = students.filter(student => student.byDate[date] !== 'excused').length;
+    return {
+      date: date,
+      presentCount: presentCount,
+      total: total,
+      rate: total ? Math.round((presentCount / total) * 100) : 0
+    };
+  });
+
+  return { dates, students, daily };
+}
+
+/**
+ * Gets one student's attendance status for every recorded day in a range
+ * Read from the student's own attendance document, which the student and
+ * their linked parents can see (the class's day records are the teacher's)
+ * @param {string} classId - Class ID
+ * @param {Object} student - { uid, name }
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Promise<Object>} - { 'YYYY-MM-DD': 'present' | 'late' | 'excused' | 'absent' }
+ */
+async function getStudentHistory(classId, student, startDate, endDate) {
+  const days = await window.attendanceModule.getStudentAttendance(classId, student.uid);
+  const statusByDate = {};
+  Object.keys(days).forEach(date => {
+    if (date >= startDate && date <= endDate) {
+      statusByDate[date] = days[date].status;
+    }
+  });
+  return statusByDate;
+}
+
+/**
+ * Renders a month calendar of attendance statuses into a container
+ * @param {HTMLElement} container - Element to render into
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {Object} statusByDate - { 'YYYY-MM-DD': status }
+ */
+function renderAttendanceCalendar(container, year, month, statusByDate) {
+  if (!container) return;
+
+  const statusClasses = {
+    present: 'bg-green-500/20 text-green-300 border-green-700',
+    late: 'bg-amber-500/20 text-amber-300 border-amber-700',
+    excused: 'bg-sky-500/20 text-sky-300 border-sky-700',
+    absent: 'bg-red-500/20 text-red-300 border-red-800'
+  };
+
+  const firstDay = new Date(year, month, 1);
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+  let html = '<div class="grid grid-cols-7 gap-1 text-center text-xs">';
+  ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].forEach(day => {
+    html += `<div class="text-zinc-500 py-1">${day}</div>`;
+  });
+  for (let i = 0; i < firstDay.getDay(); i++) {
+    html += '<div></div>';
+  }
+  for (let day = 1; day <= daysInMonth; day++) {
+    const date = formatDate(new Date(year, month, day));
+    const status = statusByDate[date];
+    const classes = statusClasses[status] || 'bg-zinc-900 text-zinc-500 border-zinc-800';
+    const title = status ? `${date}: ${status}` : `${date}: no attendance taken`;
+    html += `<div class="py-2 rounded border ${classes}" title="${title}">${day}</div>`;
+  }
+  html += '</div>';
+
+  container.innerHTML = html;
+}
+
+/**
+ * Sets up a month calendar with previous/next navigation for one student
+ * @param {Object} options - { classId, student, container, label, prevBtn, nextBtn }
+ * @returns {Function} - Cleanup function removing the navigation handlers
+ */
+function mountStudentCalendar(options) {
+  const { classId, student, container, label, prevBtn, nextBtn } = options;
+  const today = new Date();
+  let year = today.getFullYear();
+  let month = today.getMonth();
+
+  async function render() {
+    const start = formatDate(new Date(year, month, 1));
+    const end = formatDate(new Date(year, month + 1, 0));
+    if (label) {
+      label.innerText = new Date(year, month, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    }
+    const statusByDate = await getStudentHistory(classId, student, start, end);
+    renderAttendanceCalendar(container, year, month, statusByDate);
+  }
+
+  function previous() {
+    month--;
+    if (month < 0) {
+      month = 11;
+      year--;
+    }
+    render();
+  }
+
+  function next() {
+    month++;
+    if (month > 11) {
+      month = 0;
+      year++;
+    }
+    render();
+  }
+
+  if (prevBtn) prevBtn.addEventListener('click', previous);
+  if (nextBtn) nextBtn.addEventListener('click', next);
+  render();
+
+  return () => {
+    if (prevBtn) prevBtn.removeEventListener('click', previous);
+    if (nextBtn) nextBtn.removeEventListener('click', next);
+  };
+}
+
+// Export functions for use in portal pages
+window.reportsModule = {
+  formatDate,
+  buildAttendanceReport,
+  getStudentHistory,
+  renderAttendanceCalendar,
+  mountStudentCalendar
+};
@@ -0,0 +1,85 @@
+/**
+ * Results Module
+ *
+ * Module functions that act on behalf of the user (submitWork,
+ * markStudentPresent, postNotice, ...) return a result instead of showing
+ * alerts, so each page decides how to present the outcome (see toast.js):
+ * - Success: { ok: true, code: null, message, data }
+ * - Failure: { ok: false, code, message, data: null }
+ *
+ * `message` is written for the user and `code` is one of ERROR_CODES, for
+ * callers that react to particular failures. Each code's value is its own
+ * name, so modules pass it as a string: failure('INVALID_INPUT', '...').
+ */
+
+const ERROR_CODES = {
+  // Nobody is signed in
+  NOT_AUTHENTICATED: 'NOT_AUTHENTICATED',
+  // Wrong role, or refused by the security rules
+  NOT_AUTHORIZED: 'NOT_AUTHORIZED',
+  // Missing or invalid input (empty text, bad date, unknown option, ...)
+  INVALID_INPUT: 'INVALID_INPUT',
+  // The class, assignment, student or link code does not exist
+  NOT_FOUND: 'NOT_FOUND',
+  // Attendance is not open, or closed before the student's code arrived
+  ATTENDANCE_CLOSED: 'ATTENDANCE_CLOSED',
+  // Wrong or expired attendance / link code
+  INVALID_CODE: 'INVALID_CODE',
+  ALREADY_MARKED: 'ALREADY_MARKED',
+  ALREADY_SUBMITTED: 'ALREADY_SUBMITTED',
+  ALREADY_USED: 'ALREADY_USED',
+  // The student is already on the roster, the child already linked, ...
+  ALREADY_EXISTS: 'ALREADY_EXISTS',
+  // The assignment is closed, or past its deadline with late work locked out
+  SUBMISSIONS_CLOSED: 'SUBMISSIONS_CLOSED',
+  // The feature needs something this page or browser does not have
+  UNAVAILABLE: 'UNAVAILABLE',
+  // Anything else (network errors, unexpected exceptions)
+  FAILED: 'FAILED'
+};
+
+/**
+ * Creates a success result
+ * @param {string} [message] - Message for the user, if the outcome is worth announcing
+ * @param {*} [data] - Value the caller needs (e.g. the new document ID)
+ * @returns {Object} - { ok: true, code: null, message, data }
+ */
+function success(message = '', data = null) {
+  return { ok: true, code: null, message: message, data: data };
+}
+
+/**
+ * Creates a failure result
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Message for the user
+ * @returns {Object} - { ok: false, code, message, data: null }
+ */
+function failure(code, message) {
+  return { ok: false, code: code, message: message, data: null };
+}
+
+/**
+ * Creates a failure result for an exception thrown by the backend
+ * Permission errors from the security rules become NOT_AUTHORIZED; anything
+ * else keeps the fallback message
+ * @param {Error} error - Caught error
+ * @param {string} message - Message for the user if the error is unexpected
+ * @returns {Object} - Failure result
+ */
+function fromError(error, message) {
+  if (error && error.code === 'permission-denied') {
+    return failure(ERROR_CODES.NOT_AUTHORIZED, 'You do not have permission to do that.');
+  }
+  if (error && error.code === 'not-found') {
+    return failure(ERROR_CODES.NOT_FOUND, 'That item no longer exists.');
+  }
+  return failure(ERROR_CODES.FAILED, message);
+}
+
+// Export functions for use in other modules
+window.resultsModule = {
+  ERROR_CODES,
+  success,
+  failure,
+  fromError
+};
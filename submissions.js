@@ -1,170 +1,244 @@
 
 /**
- * Submissions, Deadlines, Notices, and Parent Messages Module
+ * Submissions and Class Info Module
  * 
  * Handles all non-attendance operations using Firestore:
- * - Work submissions management
- * - Deadline setting and tracking
- * - Notice posting
- * - Parent-teacher messaging
+ * - Work submissions to assignments (see assignments.js), with file
+ *   attachments stored in Firebase Storage under
+ *   classes/{classId}/submissions/{submissionId}/{version}/
+ * - Resubmissions, kept as numbered versions in
+ *   classes/{classId}/submissions/{submissionId}/versions/{version}
+ * - Grading, feedback and returning work
+ * - Class name updates
  * - Real-time updates across all portals
+ *
+ * Parent-teacher messages live in conversations.js and notices in notices.js.
  */
 
+// Attachment limits (also enforced by storage.rules)
+const ATTACHMENT_MAX_FILES = 5;
+const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'application/pdf'];
+
 /**
- * Submits work for a student
- * Requires student role
- * @param {string} studentName - Name of the student
- * @param {string} content - Submission content
- * @returns {Promise<boolean>} - true if successfully submitted, false otherwise
+ * Gets a collection scoped to a class (e.g. classes/{classId}/submissions)
  */
-async function submitWork(studentName, content) {
-  // Check authentication
-  const user = window.auth && window.auth.currentUser;
-  if (!user) {
-    alert('You must be logged in to submit work.');
-    return false;
-  }
-
-  // Check role
-  if (window.authModule) {
-    const role = await window.authModule.getUserRole(user.uid);
-    if (role !== 'student') {
-      alert('Only students can submit work.');
-      return false;
-    }
-  }
-
-  const studentNameTrimmed = studentName.trim();
-  const contentTrimmed = content.trim();
-
-  if (!studentNameTrimmed) {
-    alert('Enter your name to submit!');
-    return false;
-  }
+function scopedCollection(classId, name) {
+  return window.classesModule.classCollection(classId, name);
+}
 
-  if (!contentTrimmed) {
-    alert('Enter your submission content!');
-    return false;
+/**
+ * Checks files against the attachment limits
+ * @param {Array<File>} files - Files chosen by the student
+ * @returns {string|null} - Error message, or null if the files are acceptable
+ */
+function validateAttachments(files) {
+  if (files.length > ATTACHMENT_MAX_FILES) {
+    return `You can attach at most ${ATTACHMENT_MAX_FILES} files.`;
   }
-
-  try {
-    // Get current deadline to associate submission
-    const deadlineDoc = await db.collection('submissions').doc('currentDeadline').get();
-    if (!deadlineDoc.exists) {
-      alert('No deadline set. Please wait for teacher to set a deadline.');
-      return false;
+  for (const file of files) {
+    if (!ATTACHMENT_TYPES.includes(file.type)) {
+      return `${file.name} is not a supported file type. Attach photos (JPEG, PNG, GIF, WebP, HEIC) or PDFs.`;
     }
-    const deadlineDate = deadlineDoc.data().date;
-    if (!deadlineDate) {
-      alert('No deadline date set. Please wait for teacher to set a deadline.');
-      return false;
+    if (file.size > ATTACHMENT_MAX_BYTES) {
+      return `${file.name} is larger than ${ATTACHMENT_MAX_BYTES / (1024 * 1024)} MB.`;
     }
+  }
+  return null;
+}
 
-    // Check if student already submitted
-    const existingSubmissions = await db.collection('submissions')
-      .where('studentName', '==', studentNameTrimmed)
-      .where('deadlineDate', '==', deadlineDate)
-      .get();
-
-    if (!existingSubmissions.empty) {
-      alert('You already submitted.');
-      return false;
+/**
+ * Uploads a submission version's attachments to Firebase Storage
+ * @param {string} classId - Class ID
+ * @param {string} submissionId - Submission ID ({assignmentId}_{uid})
+ * @param {number} version - Version the files belong to
+ * @param {Array<File>} files - Validated files
+ * @returns {Promise<Array>} - [{ name, path, contentType, size }]
+ */
+async function uploadAttachments(classId, submissionId, version, files) {
+  const uploaded = [];
+  try {
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      // Prefix with the index so two files with the same name do not collide
+      const safeName = file.name.replace(/[^\w.\-]+/g, '_');
+      const path = `classes/${classId}/submissions/${submissionId}/${version}/${i}-${safeName}`;
+      await window.storage.ref(path).put(file, { contentType: file.type });
+      uploaded.push({ name: file.name, path: path, contentType: file.type, size: file.size });
     }
+    return uploaded;
+  } catch (error) {
+    await deleteAttachments(uploaded);
+    throw error;
+  }
+}
 
-    // Create submission
-    await db.collection('submissions').add({
-      studentName: studentNameTrimmed,
-      content: contentTrimmed,
-      deadlineDate: deadlineDate,
-      timestamp: firebase.firestore.FieldValue.serverTimestamp()
-    });
+/**
+ * Deletes uploaded attachments (used when saving the submission fails)
+ * @param {Array} attachments - [{ path }]
+ */
+async function deleteAttachments(attachments) {
+  await Promise.all(attachments.map(attachment =>
+    window.storage.ref(attachment.path).delete().catch(error => {
+      console.error('Error deleting attachment:', error);
+    })
+  ));
+}
 
-    alert('Work submitted successfully!');
-    return true;
+/**
+ * Gets a download URL for a submission attachment
+ * @param {Object} attachment - { path }
+ * @returns {Promise<string|null>}
+ */
+async function getAttachmentUrl(attachment) {
+  try {
+    return await window.storage.ref(attachment.path).getDownloadURL();
   } catch (error) {
-    console.error('Error submitting work:', error);
-    alert('Failed to submit work. Please try again.');
-    return false;
+    console.error('Error getting attachment URL:', error);
+    return null;
   }
 }
 
 /**
- * Sets a submission deadline
- * Requires teacher role
- * @param {string} date - Deadline date (YYYY-MM-DD format)
- * @param {string} description - Task description (optional)
+ * Submits work for the signed-in student to an assignment
+ * The submission is keyed by assignment and student uid; the name comes from their profile.
+ * If the assignment allows resubmission, submitting again adds a new version;
+ * the submission document always holds the latest one
+ * Requires student role
+ * @param {string} classId - Class ID
+ * @param {string} assignmentId - Assignment ID
+ * @param {string} content - Submission content
+ * @param {Array<File>} [files] - Attachments (photos or PDFs, see ATTACHMENT_TYPES)
+ * @returns {Promise<Object>} - Result (see results.js); data is the version submitted
  */
-async function setDeadline(date, description = '') {
-  // Check authentication
-  const user = window.auth && window.auth.currentUser;
-  if (!user) {
-    alert('You must be logged in to set deadlines.');
-    return;
+async function submitWork(classId, assignmentId, content, files = []) {
+  // Check authentication and permission
+  const { user, error: authError } = await window.permissionsModule.requirePermission('create', 'submission', 'submit work');
+  if (authError) return authError;
+
+  if (!classId) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please select a class first.');
   }
 
-  // Check role
-  if (window.authModule) {
-    const role = await window.authModule.getUserRole(user.uid);
-    if (role !== 'teacher') {
-      alert('Only teachers can set deadlines.');
-      return;
-    }
+  if (!assignmentId) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please choose the assignment you are submitting.');
   }
 
-  if (!date) {
-    alert('Please select a deadline date');
-    return;
+  const contentTrimmed = content.trim();
+  const attachmentFiles = Array.from(files || []);
+
+  if (!contentTrimmed && attachmentFiles.length === 0) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Enter your submission content or attach a file!');
   }
 
-  try {
-    await db.collection('submissions').doc('currentDeadline').set({
-      date: date,
-      description: description.trim() || '',
-      timestamp: firebase.firestore.FieldValue.serverTimestamp()
-    });
+  const attachmentError = validateAttachments(attachmentFiles);
+  if (attachmentError) {
+    return window.resultsModule.failure('INVALID_INPUT', attachmentError);
+  }
 
-    console.log('Deadline set:', date);
-    alert('Deadline set successfully!');
-  } catch (error) {
-    console.error('Error setting deadline:', error);
-    alert('Failed to set deadline. Please check console for details.');
-    throw error;
+  if (attachmentFiles.length > 0 && !window.storage) {
+    return window.resultsModule.failure('UNAVAILABLE', 'File uploads are not available on this page.');
   }
-}
 
-/**
- * Sets up real-time listener for current deadline
- * Updates UI when deadline changes
- */
-function watchDeadline(updateCallback) {
-  return db.collection('submissions').doc('currentDeadline').onSnapshot((doc) => {
-    if (doc.exists) {
-      const data = doc.data();
-      updateCallback({
-        date: data.date || null,
-        description: data.description || ''
+  try {
+    const assignment = await window.assignmentsModule.getAssignment(classId, assignmentId);
+    if (!assignment) {
+      return window.resultsModule.failure('NOT_FOUND', 'This assignment no longer exists.');
+    }
+    if (assignment.status !== 'open') {
+      return window.resultsModule.failure('SUBMISSIONS_CLOSED', 'This assignment is closed for submissions.');
+    }
+    if (window.assignmentsModule.getLateness(assignment).locked) {
+      return window.resultsModule.failure('SUBMISSIONS_CLOSED', 'The deadline for this assignment has passed and late work is not accepted.');
+    }
+
+    // One submission per student per assignment, keyed by uid
+    const submissionRef = scopedCollection(classId, 'submissions').doc(`${assignmentId}_${user.uid}`);
+    const existingSubmission = await submissionRef.get();
+
+    if (existingSubmission.exists && !assignment.allowResubmission) {
+      return window.resultsModule.failure('ALREADY_SUBMITTED', 'You already submitted.');
+    }
+
+    const previous = existingSubmission.exists ? existingSubmission.data() : null;
+    const previousVersion = previous ? previous.version || 1 : 0;
+    const version = previousVersion + 1;
+
+    // Upload files first so the version is saved complete
+    const attachments = await uploadAttachments(classId, submissionRef.id, version, attachmentFiles);
+
+    const timestamp = backend.FieldValue.serverTimestamp();
+    const versionsRef = submissionRef.collection('versions');
+    const batch = db.batch();
+    if (previous) {
+      // Submissions made before versions existed have no copy of their first version
+      const previousVersionDoc = await versionsRef.doc(String(previousVersion)).get();
+      if (!previousVersionDoc.exists) {
+        batch.set(versionsRef.doc(String(previousVersion)), {
+          version: previousVersion,
+          content: previous.content || '',
+          attachments: previous.attachments || [],
+          timestamp: previous.timestamp || null
+        });
+      }
+      // A grade belongs to the version it was given for, so the new version
+      // starts ungraded and unreturned
+      batch.update(submissionRef, {
+        content: contentTrimmed,
+        attachments: attachments,
+        version: version,
+        timestamp: timestamp,
+        grade: backend.FieldValue.delete(),
+        returned: false,
+        returnedAt: backend.FieldValue.delete()
       });
     } else {
-      updateCallback({ date: null, description: '' });
+      const studentName = window.authModule
+        ? await window.authModule.getDisplayName(user)
+        : user.email;
+      batch.set(submissionRef, {
+        studentId: user.uid,
+        studentName: studentName,
+        content: contentTrimmed,
+        attachments: attachments,
+        assignmentId: assignmentId,
+        version: version,
+        timestamp: timestamp
+      });
     }
-  }, (error) => {
-    console.error('Error watching deadline:', error);
-    updateCallback({ date: null, description: '' });
-  });
+    batch.set(versionsRef.doc(String(version)), {
+      version: version,
+      content: contentTrimmed,
+      attachments: attachments,
+      timestamp: timestamp
+    });
+
+    try {
+      await batch.commit();
+    } catch (error) {
+      await deleteAttachments(attachments);
+      throw error;
+    }
+
+    return window.resultsModule.success(previous ? `Resubmitted (version ${version})!` : 'Work submitted successfully!', version);
+  } catch (error) {
+    console.error('Error submitting work:', error);
+    return window.resultsModule.fromError(error, 'Failed to submit work. Please try again.');
+  }
 }
 
 /**
- * Sets up real-time listener for submissions
+ * Sets up real-time listener for an assignment's submissions
  * Updates UI when students submit work
  */
-function watchSubmissions(deadlineDate, updateCallback) {
-  if (!deadlineDate) {
+function watchSubmissions(classId, assignmentId, updateCallback) {
+  if (!assignmentId) {
     updateCallback([]);
     return () => {};
   }
 
-  return db.collection('submissions')
-    .where('deadlineDate', '==', deadlineDate)
+  return scopedCollection(classId, 'submissions')
+    .where('assignmentId', '==', assignmentId)
     .orderBy('timestamp', 'desc')
     .onSnapshot((snapshot) => {
       const submissions = [];
@@ -182,16 +256,56 @@ function watchSubmissions(deadlineDate, updateCallback) {
 }
 
 /**
- * Gets all submissions for a specific deadline
- * @param {string} deadlineDate - Deadline date (YYYY-MM-DD format)
+ * Sets up real-time listener for one student's submission to an assignment
+ * Callback receives the submission or null if nothing was submitted yet
+ */
+function watchStudentSubmission(classId, assignmentId, studentId, updateCallback) {
+  if (!assignmentId || !studentId) {
+    updateCallback(null);
+    return () => {};
+  }
+
+  return scopedCollection(classId, 'submissions').doc(`${assignmentId}_${studentId}`).onSnapshot((doc) => {
+    updateCallback(doc.exists ? { id: doc.id, ...doc.data() } : null);
+  }, (error) => {
+    console.error('Error watching student submission:', error);
+    updateCallback(null);
+  });
+}
+
+/**
+ * Sets up real-time listeners for one student's submissions to several assignments
+ * Callback receives { assignmentId: submission | null } whenever any of them changes
+ * @returns {Function} - Removes all the listeners
+ */
+function watchStudentSubmissions(classId, assignmentIds, studentId, updateCallback) {
+  const byAssignment = {};
+  assignmentIds.forEach(id => { byAssignment[id] = null; });
+  if (assignmentIds.length === 0) {
+    updateCallback(byAssignment);
+  }
+
+  const unsubscribers = assignmentIds.map(assignmentId =>
+    watchStudentSubmission(classId, assignmentId, studentId, (submission) => {
+      byAssignment[assignmentId] = submission;
+      updateCallback({ ...byAssignment });
+    })
+  );
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
+
+/**
+ * Gets all submissions for an assignment
+ * @param {string} classId - Class ID
+ * @param {string} assignmentId - Assignment ID
  * @returns {Promise<Array>} - Array of submission objects
  */
-async function getSubmissions(deadlineDate) {
-  if (!deadlineDate) return [];
+async function getSubmissions(classId, assignmentId) {
+  if (!assignmentId) return [];
 
   try {
-    const snapshot = await db.collection('submissions')
-      .where('deadlineDate', '==', deadlineDate)
+    const snapshot = await scopedCollection(classId, 'submissions')
+      .where('assignmentId', '==', assignmentId)
       .orderBy('timestamp', 'desc')
       .get();
 
@@ -210,228 +324,194 @@ async function getSubmissions(deadlineDate) {
 }
 
 /**
- * Posts a notice for students and parents
- * Requires teacher role
- * @param {string} noticeText - Notice content
+ * Gets every version of a submission, oldest first
+ * Submissions made before versions existed count as a single version 1
+ * @param {string} classId - Class ID
+ * @param {Object} submission - Submission ({ id, content, attachments, version, timestamp })
+ * @returns {Promise<Array>} - [{ version, content, attachments, timestamp }]
  */
-async function postNotice(noticeText) {
-  // Check authentication
-  const user = window.auth && window.auth.currentUser;
-  if (!user) {
-    alert('You must be logged in to post notices.');
-    return;
-  }
-
-  // Check role
-  if (window.authModule) {
-    const role = await window.authModule.getUserRole(user.uid);
-    if (role !== 'teacher') {
-      alert('Only teachers can post notices.');
-      return;
-    }
-  }
-
-  const text = noticeText.trim();
-
-  if (!text) {
-    alert('Please enter a notice');
-    return;
-  }
-
+async function getSubmissionVersions(classId, submission) {
   try {
-    await db.collection('notices').doc('current').set({
-      text: text,
-      timestamp: firebase.firestore.FieldValue.serverTimestamp()
-    });
-
-    console.log('Notice posted');
+    const snapshot = await scopedCollection(classId, 'submissions').doc(submission.id)
+      .collection('versions').get();
+    const versions = snapshot.docs.map(doc => doc.data());
+    if (versions.length === 0) {
+      versions.push({
+        version: submission.version || 1,
+        content: submission.content || '',
+        attachments: submission.attachments || [],
+        timestamp: submission.timestamp || null
+      });
+    }
+    return versions.sort((a, b) => a.version - b.version);
   } catch (error) {
-    console.error('Error posting notice:', error);
-    alert('Failed to post notice. Please try again.');
+    console.error('Error getting submission versions:', error);
+    return [];
   }
 }
 
 /**
- * Sets up real-time listener for current notice
- * Updates UI when notice changes
+ * Compares two texts line by line
+ * @param {string} oldText - Earlier version
+ * @param {string} newText - Later version
+ * @returns {Array} - [{ type: 'same' | 'added' | 'removed', text }]
  */
-function watchNotice(updateCallback) {
-  return db.collection('notices').doc('current').onSnapshot((doc) => {
-    if (doc.exists) {
-      const notice = doc.data().text || 'No notice';
-      updateCallback(notice);
-    } else {
-      updateCallback('No notice');
+function diffLines(oldText, newText) {
+  const a = (oldText || '').split('\n');
+  const b = (newText || '').split('\n');
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
     }
-  }, (error) => {
-    console.error('Error watching notice:', error);
-    updateCallback('No notice');
-  });
-}
-
-/**
- * Sends a message from parent to teacher
- * Requires parent role
- * @param {string} childName - Name of the child
- * @param {string} message - Message content
- */
-async function sendParentMessage(childName, message) {
-  // Check authentication
-  const user = window.auth && window.auth.currentUser;
-  if (!user) {
-    alert('You must be logged in to send messages.');
-    return;
   }
 
-  // Check role
-  if (window.authModule) {
-    const role = await window.authModule.getUserRole(user.uid);
-    if (role !== 'parent') {
-      alert('Only parents can send messages.');
-      return;
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      diff.push({ type: 'removed', text: a[i++] });
+    } else {
+      diff.push({ type: 'added', text: b[j++] });
     }
   }
+  while (i < a.length) diff.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) diff.push({ type: 'added', text: b[j++] });
+  return diff;
+}
 
-  const childNameTrimmed = childName.trim();
-  const messageTrimmed = message.trim();
-
-  if (!childNameTrimmed) {
-    alert('Please enter your child\'s name');
-    return;
-  }
+/**
+ * Grades a submission and saves written feedback
+ * Late work on a penalty assignment has the penalty taken off the score.
+ * The grade is for the version the teacher is looking at, which is kept with it
+ * Students and parents see the grade once the submission is returned
+ * Requires teacher role
+ * @param {string} classId - Class ID
+ * @param {Object} submission - Submission ({ id, assignmentId, version })
+ * @param {Object} grading - { score, feedback, returned }
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function gradeSubmission(classId, submission, grading) {
+  // Check authentication and permission
+  const { user, error: authError } = await window.permissionsModule.requirePermission('grade', 'submission', 'grade submissions');
+  if (authError) return authError;
 
-  if (!messageTrimmed) {
-    alert('Please enter a message');
-    return;
+  if (!classId || !submission || !submission.id) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please select a submission to grade.');
   }
 
   try {
-    await db.collection('parentMessages').add({
-      childName: childNameTrimmed,
-      message: messageTrimmed,
-      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-      read: false
-    });
+    const assignment = await window.assignmentsModule.getAssignment(classId, submission.assignmentId);
+    const maxScore = assignment ? assignment.maxScore : window.assignmentsModule.DEFAULT_MAX_SCORE;
+    const lateness = getSubmissionLateness(assignment, submission);
+
+    const hasScore = grading.score !== undefined && grading.score !== null && grading.score !== '';
+    const score = hasScore ? Number(grading.score) : null;
+    if (hasScore && (!Number.isFinite(score) || score < 0 || score > maxScore)) {
+      return window.resultsModule.failure('INVALID_INPUT', `The score must be between 0 and ${maxScore}.`);
+    }
+    if (grading.returned && !hasScore) {
+      return window.resultsModule.failure('INVALID_INPUT', 'Please enter a score before returning the work.');
+    }
 
-    alert('Message sent to teacher!');
+    await scopedCollection(classId, 'submissions').doc(submission.id).update({
+      grade: {
+        score: score,
+        maxScore: maxScore,
+        penaltyPercent: lateness.penaltyPercent,
+        finalScore: hasScore ? applyPenalty(score, lateness.penaltyPercent) : null,
+        version: submission.version || 1,
+        feedback: (grading.feedback || '').trim(),
+        gradedBy: user.uid,
+        gradedAt: backend.FieldValue.serverTimestamp()
+      },
+      returned: !!grading.returned,
+      returnedAt: grading.returned ? backend.FieldValue.serverTimestamp() : null
+    });
+    return window.resultsModule.success(grading.returned ? 'Grade saved and returned.' : 'Grade saved.');
   } catch (error) {
-    console.error('Error sending parent message:', error);
-    alert('Failed to send message. Please try again.');
+    console.error('Error grading submission:', error);
+    return window.resultsModule.fromError(error, 'Failed to save the grade. Please try again.');
   }
 }
 
 /**
- * Sets up real-time listener for parent messages
- * Updates teacher UI when new messages arrive
+ * Gets the grade a student or parent may see for a submission
+ * @param {Object|null} submission - Submission
+ * @returns {Object|null} - { score, rawScore, penaltyPercent, maxScore, feedback, version }
+ *   once returned, otherwise null
  */
-function watchParentMessages(updateCallback) {
-  return db.collection('parentMessages')
-    .orderBy('timestamp', 'desc')
-    .limit(10)
-    .onSnapshot((snapshot) => {
-      const messages = [];
-      snapshot.forEach((doc) => {
-        messages.push({
-          id: doc.id,
-          ...doc.data()
-        });
-      });
-      updateCallback(messages);
-    }, (error) => {
-      console.error('Error watching parent messages:', error);
-      updateCallback([]);
-    });
+function getReturnedGrade(submission) {
+  if (!submission || !submission.returned || !submission.grade) return null;
+  const grade = submission.grade;
+  return {
+    score: grade.finalScore !== undefined ? grade.finalScore : grade.score,
+    rawScore: grade.score,
+    penaltyPercent: grade.penaltyPercent || 0,
+    maxScore: grade.maxScore,
+    feedback: grade.feedback || '',
+    version: grade.version || 1
+  };
 }
 
 /**
- * Sends a reply from teacher to parent
- * Requires teacher role
- * @param {string} replyText - Reply content
+ * Works out whether a submission was late for its assignment
+ * Uses the server time the submission was made; a submission still being
+ * written (no timestamp yet) is treated as made now
+ * @param {Object|null} assignment - Assignment
+ * @param {Object} submission - Submission
+ * @returns {Object} - { late, minutesLate, locked, penaltyPercent }
  */
-async function sendParentReply(replyText) {
-  // Check authentication
-  const user = window.auth && window.auth.currentUser;
-  if (!user) {
-    alert('You must be logged in to send replies.');
-    return;
-  }
-
-  // Check role
-  if (window.authModule) {
-    const role = await window.authModule.getUserRole(user.uid);
-    if (role !== 'teacher') {
-      alert('Only teachers can send replies.');
-      return;
-    }
-  }
-
-  const text = replyText.trim();
-
-  if (!text) {
-    alert('Please enter a reply');
-    return;
-  }
-
-  try {
-    // Store as a general reply (can be enhanced to be child-specific)
-    await db.collection('parentReplies').doc('latest').set({
-      reply: text,
-      timestamp: firebase.firestore.FieldValue.serverTimestamp()
-    });
-
-    alert('Reply sent to parents');
-  } catch (error) {
-    console.error('Error sending reply:', error);
-    alert('Failed to send reply. Please try again.');
+function getSubmissionLateness(assignment, submission) {
+  if (!assignment) {
+    return { late: false, minutesLate: 0, locked: false, penaltyPercent: 0 };
   }
+  const submittedAt = submission && submission.timestamp && submission.timestamp.toDate
+    ? submission.timestamp.toDate()
+    : new Date();
+  return window.assignmentsModule.getLateness(assignment, submittedAt);
 }
 
 /**
- * Sets up real-time listener for teacher reply
- * Updates parent UI when teacher replies
+ * Applies a late penalty to a score
+ * @param {number} score - Score before the penalty
+ * @param {number} penaltyPercent - Percentage of the score to deduct
+ * @returns {number} - Score rounded to two decimals
  */
-function watchParentReply(updateCallback) {
-  return db.collection('parentReplies').doc('latest').onSnapshot((doc) => {
-    if (doc.exists) {
-      const reply = doc.data().reply || 'No reply';
-      updateCallback(reply);
-    } else {
-      updateCallback('No reply');
-    }
-  }, (error) => {
-    console.error('Error watching parent reply:', error);
-    updateCallback('No reply');
-  });
+function applyPenalty(score, penaltyPercent) {
+  return Math.round(score * (100 - penaltyPercent)) / 100;
 }
 
 /**
- * Updates class information (name and strength)
+ * Updates class information (name)
  * Requires teacher role
+ * @param {string} classId - Class ID
  * @param {string} className - Class name
- * @param {number} strength - Class strength
  */
-async function updateClassInfo(className, strength) {
-  // Check authentication
-  const user = window.auth && window.auth.currentUser;
-  if (!user) {
-    console.warn('Not authenticated - class info update skipped');
+async function updateClassInfo(classId, className) {
+  // Check authentication and permission
+  const { error: authError } = await window.permissionsModule.requirePermission('update', 'class', 'update class info');
+  if (authError) {
+    console.warn(`${authError.message} Class info update skipped.`);
     return;
   }
 
-  // Check role
-  if (window.authModule) {
-    const role = await window.authModule.getUserRole(user.uid);
-    if (role !== 'teacher') {
-      console.warn('Not authorized - only teachers can update class info');
-      return;
-    }
+  if (!classId) {
+    console.warn('No class selected - class info update skipped');
+    return;
   }
 
   try {
-    await db.collection('classInfo').doc('current').set({
-      className: className || '',
-      strength: parseInt(strength) || 0,
-      timestamp: firebase.firestore.FieldValue.serverTimestamp()
+    await window.classesModule.classRef(classId).update({
+      name: className || '',
+      timestamp: backend.FieldValue.serverTimestamp()
     });
   } catch (error) {
     console.error('Error updating class info:', error);
@@ -442,42 +522,47 @@ async function updateClassInfo(className, strength) {
  * Sets up real-time listener for class information
  * Updates UI when class info changes
  */
-function watchClassInfo(updateCallback) {
-  return db.collection('classInfo').doc('current').onSnapshot((doc) => {
+function watchClassInfo(classId, updateCallback) {
+  if (!classId) {
+    updateCallback({ className: '' });
+    return () => {};
+  }
+
+  return window.classesModule.classRef(classId).onSnapshot((doc) => {
     if (doc.exists) {
       const data = doc.data();
       updateCallback({
-        className: data.className || '',
-        strength: data.strength || 0
+        className: data.name || ''
       });
     } else {
       updateCallback({
-        className: '',
-        strength: 0
+        className: ''
       });
     }
   }, (error) => {
     console.error('Error watching class info:', error);
     updateCallback({
-      className: '',
-      strength: 0
+      className: ''
     });
   });
 }
 
 // Export functions for use in app.js
 window.submissionsModule = {
+  ATTACHMENT_MAX_FILES,
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_TYPES,
   submitWork,
-  setDeadline,
-  watchDeadline,
+  getAttachmentUrl,
   watchSubmissions,
+  watchStudentSubmission,
+  watchStudentSubmissions,
   getSubmissions,
-  postNotice,
-  watchNotice,
-  sendParentMessage,
-  watchParentMessages,
-  sendParentReply,
-  watchParentReply,
+  getSubmissionVersions,
+  diffLines,
+  gradeSubmission,
+  getReturnedGrade,
+  getSubmissionLateness,
   updateClassInfo,
   watchClassInfo
 };
@@ -0,0 +1,241 @@
+/**
+ * Attendance, report and notices tests against the in-memory backend
+ *
+ * Runs the browser modules under Node with `npm run test:backend`; no
+ * Firebase project or emulator is needed. The in-memory backend does not
+ * enforce firestore.rules (see test/rules/ for those). Every test starts
+ * from an empty store with:
+ * - teacher, who owns the class
+ * - student1 and student2, who joined it with a join code
+ * - parent, who is linked to student1
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.window = global;
+require('../../backend/backend.js');
+const { createMemoryBackend } = require('../../backend/memory.js');
+window.backendModule.useBackend(createMemoryBackend());
+require('../../results.js');
+require('../../auth/auth.js');
+require('../../auth/permissions.js');
+require('../../classes.js');
+require('../../enrolment.js');
+require('../../functions/absences.js');
+require('../../attendance.js');
+require('../../reports.js');
+require('../../parents.js');
+require('../../notices.js');
+
+const PASSWORD = 'secret1';
+
+let classId;
+let users;
+
+/**
+ * Creates an account with a profile and leaves it signed in
+ * @param {string} name - Also the email's local part
+ * @param {string} role
+ * @returns {Promise<string>} - User ID
+ */
+async function createUser(name, role) {
+  await auth.createUserWithEmailAndPassword(`${name}@example.com`, PASSWORD);
+  const uid = auth.currentUser.uid;
+  await db.collection('users').doc(uid).set({ name: name, email: `${name}@example.com`, role: role, status: 'active' });
+  return uid;
+}
+
+/**
+ * Signs in as one of the seeded users
+ * @param {string} name
+ */
+async function signInAs(name) {
+  const result = await window.authModule.login(`${name}@example.com`, PASSWORD);
+  assert.ok(result.success, result.error);
+}
+
+/**
+ * Collects what a listener reports until it settles
+ * @param {Function} watch - Receives the callback and returns a cleanup function
+ * @returns {Promise<*>} - The last value reported
+ */
+async function latest(watch) {
+  let value;
+  const unsubscribe = watch((update) => { value = update; });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  unsubscribe();
+  return value;
+}
+
+beforeEach(async () => {
+  backend.reset();
+  users = {};
+
+  users.teacher = await createUser('teacher', 'teacher');
+  classId = (await window.classesModule.createClass('Maths')).data;
+  const joinCode = (await window.enrolmentModule.createJoinCode(classId)).data;
+  for (const name of ['student1', 'student2']) {
+    users[name] = await createUser(name, 'student');
+    assert.ok((await window.enrolmentModule.joinClassWithCode(joinCode)).ok);
+  }
+
+  await signInAs('teacher');
+  const linkCode = (await window.parentsModule.createLinkCode(classId, { uid: users.student1, name: 'student1' })).data;
+  users.parent = await createUser('parent', 'parent');
+  assert.ok((await window.parentsModule.redeemLinkCode(linkCode)).ok);
+  await signInAs('teacher');
+});
+
+describe('attendance', () => {
+  /**
+   * Opens attendance as the teacher and gets the first session code
+   * @param {number} graceSeconds - How long students are marked present rather than late
+   * @returns {Promise<string>}
+   */
+  async function openSession(graceSeconds = 30) {
+    assert.ok((await window.attendanceModule.openAttendance(classId, 60, graceSeconds)).ok);
+    const code = await new Promise(resolve => window.attendanceModule.startCodeRotation(classId, resolve));
+    window.attendanceModule.stopCodeRotation();
+    return code;
+  }
+
+  test('a student marks themselves present once, with the session code', async () => {
+    const code = await openSession();
+    await signInAs('student1');
+
+    assert.equal((await window.attendanceModule.markStudentPresent(classId, '000000')).ok, false);
+    assert.ok((await window.attendanceModule.markStudentPresent(classId, code)).ok);
+    assert.equal((await window.attendanceModule.markStudentPresent(classId, code)).code, 'ALREADY_MARKED');
+
+    const today = window.attendanceModule.getCurrentDate();
+    const days = await window.attendanceModule.getStudentAttendance(classId, users.student1);
+    assert.equal(days[today].status, 'present');
+  });
+
+  test('a student marking after the grace period is recorded late', async () => {
+    const code = await openSession(0);
+    await signInAs('student1');
+
+    const result = await window.attendanceModule.markStudentPresent(classId, code);
+    assert.ok(result.ok, result.message);
+    assert.equal(result.data, 'late');
+
+    const today = window.attendanceModule.getCurrentDate();
+    const days = await window.attendanceModule.getStudentAttendance(classId, users.student1);
+    assert.equal(days[today].status, 'late');
+  });
+
+  test('a student cannot mark once the session has closed', async () => {
+    const code = await openSession();
+    assert.ok((await window.attendanceModule.closeAttendance(classId)).ok);
+    await signInAs('student1');
+
+    assert.equal((await window.attendanceModule.markStudentPresent(classId, code)).code, 'ATTENDANCE_CLOSED');
+
+    const today = window.attendanceModule.getCurrentDate();
+    const days = await window.attendanceModule.getStudentAttendance(classId, users.student1);
+    assert.deepEqual(days[today], { status: 'absent' });
+  });
+
+  test('closing the session records everyone else as absent in both documents', async () => {
+    const code = await openSession();
+    await signInAs('student1');
+    await window.attendanceModule.markStudentPresent(classId, code);
+    await signInAs('teacher');
+
+    assert.ok((await window.attendanceModule.closeAttendance(classId)).ok);
+
+    const today = window.attendanceModule.getCurrentDate();
+    const entries = await latest(callback => window.attendanceModule.watchAttendanceRecords(classId, today, callback));
+    const statuses = Object.fromEntries(entries.map(entry => [entry.uid, entry.status]));
+    assert.deepEqual(statuses, { [users.student1]: 'present', [users.student2]: 'absent' });
+
+    const days = await window.attendanceModule.getStudentAttendance(classId, users.student2);
+    assert.deepEqual(days[today], { status: 'absent' });
+  });
+
+  test('a teacher correction updates the student\'s own copy and is audited', async () => {
+    await openSession();
+    await window.attendanceModule.closeAttendance(classId);
+    const today = window.attendanceModule.getCurrentDate();
+
+    const result = await window.attendanceModule.setAttendanceStatus(
+      classId, today, { uid: users.student2, name: 'student2' }, 'excused', 'Doctor\'s appointment'
+    );
+    assert.ok(result.ok, result.message);
+
+    const days = await window.attendanceModule.getStudentAttendance(classId, users.student2);
+    assert.deepEqual(days[today], { status: 'excused', reason: 'Doctor\'s appointment' });
+    const audit = await window.attendanceModule.getAttendanceAudit(classId, today, today);
+    assert.equal(audit.length, 1);
+    assert.equal(audit[0].newStatus, 'excused');
+  });
+
+  test('removing a record clears it from both documents and is audited', async () => {
+    const code = await openSession();
+    await signInAs('student1');
+    await window.attendanceModule.markStudentPresent(classId, code);
+    await signInAs('teacher');
+    const today = window.attendanceModule.getCurrentDate();
+
+    const result = await window.attendanceModule.removeAttendanceRecord(
+      classId, today, { uid: users.student1, name: 'student1' }, 'Marked from outside the room'
+    );
+    assert.ok(result.ok, result.message);
+
+    const entries = await latest(callback => window.attendanceModule.watchAttendanceRecords(classId, today, callback));
+    assert.equal(entries.find(entry => entry.uid === users.student1), undefined);
+    const days = await window.attendanceModule.getStudentAttendance(classId, users.student1);
+    assert.equal(days[today], undefined);
+    const audit = await window.attendanceModule.getAttendanceAudit(classId, today, today);
+    assert.equal(audit.length, 1);
+    assert.equal(audit[0].previousStatus, 'present');
+    assert.equal(audit[0].newStatus, null);
+  });
+});
+
+describe('attendance report', () => {
+  test('leaves excused days out of both the student percentages and the daily totals', () => {
+    const roster = [{ id: 'a', uid: 'a', name: 'Sam Lee' }, { id: 'b', uid: 'b', name: 'Ana Diaz' }];
+    const days = [
+      { date: '2026-01-05', entries: window.absencesModule.getAttendanceEntries({ records: {
+        a: { name: 'Sam Lee', status: 'present' }, b: { name: 'Ana Diaz', status: 'excused' }
+      } }) },
+      { date: '2026-01-06', entries: window.absencesModule.getAttendanceEntries({ records: {
+        a: { name: 'Sam Lee', status: 'absent' }, b: { name: 'Ana Diaz', status: 'excused' }
+      } }) }
+    ];
+
+    const report = window.reportsModule.buildAttendanceReport(roster, days);
+
+    assert.deepEqual(report.students.map(student => student.percentage), [50, null]);
+    assert.deepEqual(report.daily.map(day => [day.presentCount, day.total, day.rate]), [[1, 1, 100], [0, 1, 0]]);
+  });
+});
+
+describe('notices', () => {
+  /**
+   * Gets the texts of the notices currently up for a viewer
+   * @param {Object} viewer - See noticesModule.isNoticeForViewer
+   * @returns {Promise<Array<string>>}
+   */
+  async function noticesFor(viewer) {
+    const notices = await latest(callback => window.noticesModule.watchNotice(classId, viewer, callback));
+    return notices.map(notice => notice.text).sort();
+  }
+
+  test('students and parents only see the notices meant for them', async () => {
+    await window.noticesModule.postNotice(classId, 'Everyone');
+    await window.noticesModule.postNotice(classId, 'Trip', { studentIds: [users.student1] });
+    await window.noticesModule.postNotice(classId, 'Detention', { audience: 'students', studentIds: [users.student2] });
+    await window.noticesModule.postNotice(classId, 'Parents evening', { audience: 'parents' });
+
+    assert.deepEqual(await noticesFor({ role: 'student', uid: users.student1 }), ['Everyone', 'Trip']);
+    assert.deepEqual(await noticesFor({ role: 'student', uid: users.student2 }), ['Detention', 'Everyone']);
+    assert.deepEqual(
+      await noticesFor({ role: 'parent', uid: users.parent, studentIds: [users.student1] }),
+      ['Everyone', 'Parents evening', 'Trip']
+    );
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * closeSession (functions/sessions.js) against the in-memory backend
+ *
+ * The closeExpiredAttendance Cloud Function closes each expired session
+ * with closeSession; here it runs on the same store the browser modules
+ * use. Every test starts with class1, whose roster has student1 and
+ * student2 (linked to accounts) and an unlinked entry, and a session for
+ * TODAY whose window has passed.
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.window = global;
+require('../../backend/backend.js');
+const { createMemoryBackend } = require('../../backend/memory.js');
+window.backendModule.useBackend(createMemoryBackend());
+const { closeSession } = require('../../functions/sessions.js');
+
+const TODAY = '2026-01-05';
+
+let classRef;
+let currentRef;
+
+/**
+ * Closes the session with the backend standing in for firebase-admin
+ * @returns {Promise<void>}
+ */
+function close() {
+  return closeSession(currentRef, { db: db, FieldValue: backend.FieldValue });
+}
+
+/**
+ * Gets the day's records
+ * @returns {Promise<Object>}
+ */
+async function records() {
+  return (await classRef.collection('attendance').doc(TODAY).get()).data().records || {};
+}
+
+beforeEach(async () => {
+  backend.reset();
+  classRef = db.collection('classes').doc('class1');
+  currentRef = classRef.collection('attendance').doc('current');
+
+  await classRef.set({ name: 'Maths', teacherId: 'teacher1', archived: false });
+  await classRef.collection('roster').doc('student1').set({ uid: 'student1', name: 'Sam Lee' });
+  await classRef.collection('roster').doc('student2').set({ uid: 'student2', name: 'Ana Diaz' });
+  await classRef.collection('roster').doc('unlinked').set({ uid: null, name: 'No Account' });
+  await currentRef.set({
+    status: 'open',
+    date: TODAY,
+    endTime: backend.Timestamp.fromMillis(Date.now() - 1000),
+    lateAfter: backend.Timestamp.fromMillis(Date.now() - 2000)
+  });
+  await classRef.collection('attendance').doc(TODAY).set({
+    status: 'open',
+    records: { student1: { name: 'Sam Lee', status: 'late' } }
+  });
+  await classRef.collection('attendanceCodes').doc('123456').set({ date: TODAY });
+});
+
+describe('closeSession', () => {
+  test('records linked students without a record as absent, in both documents', async () => {
+    await close();
+
+    const day = await records();
+    assert.equal(day.student1.status, 'late');
+    assert.equal(day.student2.status, 'absent');
+    assert.equal(day.unlinked, undefined);
+
+    const copy = (await classRef.collection('studentAttendance').doc('student2').get()).data();
+    assert.deepEqual(copy.days[TODAY], { status: 'absent' });
+    assert.equal((await classRef.collection('studentAttendance').doc('student1').get()).exists, false);
+  });
+
+  test('closes the session and its day, and deletes the session codes', async () => {
+    await close();
+
+    assert.equal((await currentRef.get()).data().status, 'closed');
+    assert.equal((await classRef.collection('attendance').doc(TODAY).get()).data().status, 'closed');
+    assert.equal((await classRef.collection('attendanceCodes').get()).empty, true);
+  });
+
+  test('counts a legacy name-only entry as attended, as the teacher\'s close does', async () => {
+    await classRef.collection('attendance').doc(TODAY).set({ students: [' ana diaz'] }, { merge: true });
+
+    await close();
+
+    assert.equal((await records()).student2, undefined);
+  });
+
+  test('leaves a session whose window has not passed open', async () => {
+    await currentRef.update({ endTime: backend.Timestamp.fromMillis(Date.now() + 60 * 1000) });
+
+    await close();
+
+    assert.equal((await currentRef.get()).data().status, 'open');
+    assert.equal((await records()).student2, undefined);
+  });
+});
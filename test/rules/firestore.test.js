@@ -0,0 +1,770 @@
+/**
+ * Firestore security rules tests
+ *
+ * Run against the Firestore emulator with `npm run test:rules`, which starts
+ * the emulator, runs this file and stops it again. Every test starts from
+ * the same seeded class:
+ * - teacher1 owns class1; teacher2 is another teacher
+ * - student1 and student2 are on class1's roster; outsider is a student
+ *   who is not
+ * - parent1 is linked to student1 (and listed in class1's parents);
+ *   parent2 is not linked to anyone
+ * Roles come from the users/{uid} profiles, as for accounts the
+ * syncRoleClaims Cloud Function has not reached yet.
+ */
+
+const { describe, test, before, beforeEach, after } = require('node:test');
+const fs = require('node:fs');
+const path = require('node:path');
+const firebase = require('firebase/compat/app');
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds
+} = require('@firebase/rules-unit-testing');
+
+const { FieldPath, FieldValue, Timestamp } = firebase.firestore;
+
+const CLASS_ID = 'class1';
+const TODAY = '2026-01-05';
+const SESSION_CODE = '123456';
+
+let testEnv;
+
+/**
+ * Gets a Firestore instance signed in as a user
+ * @param {string} uid - User ID (see the seeded users above)
+ * @returns {firebase.firestore.Firestore}
+ */
+function signedInAs(uid) {
+  return testEnv.authenticatedContext(uid).firestore();
+}
+
+/**
+ * Gets a Timestamp some minutes from now
+ * @param {number} minutes - May be negative
+ * @returns {firebase.firestore.Timestamp}
+ */
+function minutesFromNow(minutes) {
+  return Timestamp.fromMillis(Date.now() + minutes * 60 * 1000);
+}
+
+/**
+ * Writes the seeded class, users and links with the rules turned off
+ * @param {Function} [extra] - Receives the admin Firestore instance for test-specific data
+ */
+async function seed(extra) {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    const users = {
+      teacher1: 'teacher', teacher2: 'teacher',
+      student1: 'student', student2: 'student', outsider: 'student',
+      parent1: 'parent', parent2: 'parent'
+    };
+    for (const [uid, role] of Object.entries(users)) {
+      await db.collection('users').doc(uid).set({ role: role, status: 'active', name: uid, email: `${uid}@example.com` });
+    }
+
+    const classRef = db.collection('classes').doc(CLASS_ID);
+    await classRef.set({ name: 'Maths', teacherId: 'teacher1', archived: false });
+    for (const uid of ['student1', 'student2']) {
+      await classRef.collection('roster').doc(uid).set({ name: uid, email: `${uid}@example.com`, uid: uid });
+    }
+    await db.collection('parentLinks').doc(`parent1_${CLASS_ID}_student1`).set({
+      parentId: 'parent1',
+      studentId: 'student1',
+      classId: CLASS_ID,
+      code: 'USEDCODE'
+    });
+    await classRef.collection('parents').doc('parent1').set({ studentIds: ['student1'] });
+
+    await classRef.collection('assignments').doc('a1').set({
+      title: 'Homework',
+      status: 'open',
+      dueAt: minutesFromNow(60 * 24),
+      createdBy: 'teacher1'
+    });
+    await classRef.collection('submissions').doc('a1_student1').set({
+      assignmentId: 'a1',
+      studentId: 'student1',
+      content: 'My work',
+      version: 1
+    });
+    await classRef.collection('parentMessages').doc('m1').set({
+      parentId: 'parent1',
+      studentId: 'student1',
+      message: 'Hello'
+    });
+    await classRef.collection('conversations').doc('parent1_student1').set({
+      parentId: 'parent1',
+      studentId: 'student1',
+      unreadByTeacher: 0,
+      archived: false
+    });
+    await classRef.collection('conversations').doc('parent1_student1').collection('messages').doc('m1').set({
+      senderId: 'parent1',
+      senderRole: 'parent',
+      text: 'Hello'
+    });
+
+    // An open attendance session
+    await classRef.collection('attendance').doc('current').set({
+      status: 'open',
+      date: TODAY,
+      endTime: minutesFromNow(10),
+      lateAfter: minutesFromNow(5)
+    });
+    await classRef.collection('attendance').doc(TODAY).set({ status: 'open', records: {} });
+    for (const uid of ['student1', 'student2']) {
+      await classRef.collection('studentAttendance').doc(uid).set({ days: { '2026-01-02': { status: 'present' } } });
+    }
+    await classRef.collection('attendanceCodes').doc(SESSION_CODE).set({
+      date: TODAY,
+      expiresAt: minutesFromNow(1)
+    });
+
+    if (extra) await extra(db);
+  });
+}
+
+/**
+ * Builds the record a student writes for themselves when marking attendance
+ * @param {string} uid - Student user ID
+ * @param {string} [status]
+ * @returns {Object}
+ */
+function attendanceRecord(uid, status = 'present') {
+  return { name: uid, status: status, code: SESSION_CODE, markedAt: FieldValue.serverTimestamp() };
+}
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-docere',
+    firestore: {
+      rules: fs.readFileSync(path.join(__dirname, '..', '..', 'firestore.rules'), 'utf8')
+    }
+  });
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+describe('assignments', () => {
+  test('a student cannot create an assignment or set a deadline', async () => {
+    await seed();
+    const db = signedInAs('student1');
+    const assignments = db.collection('classes').doc(CLASS_ID).collection('assignments');
+
+    await assertFails(assignments.doc('a2').set({
+      title: 'No homework',
+      status: 'open',
+      dueAt: minutesFromNow(60),
+      createdBy: 'student1'
+    }));
+    await assertFails(assignments.doc('a1').update({ dueAt: minutesFromNow(60 * 24 * 30) }));
+  });
+
+  test('the class teacher can create an assignment', async () => {
+    await seed();
+    const db = signedInAs('teacher1');
+
+    await assertSucceeds(db.collection('classes').doc(CLASS_ID).collection('assignments').doc('a2').set({
+      title: 'More homework',
+      status: 'open',
+      dueAt: minutesFromNow(60),
+      createdBy: 'teacher1'
+    }));
+  });
+});
+
+describe('class reads', () => {
+  test('only the teacher, enrolled students and linked parents can read a class', async () => {
+    await seed();
+    const classDoc = (uid) => signedInAs(uid).collection('classes').doc(CLASS_ID).get();
+
+    await assertSucceeds(classDoc('teacher1'));
+    await assertSucceeds(classDoc('student1'));
+    await assertSucceeds(classDoc('parent1'));
+    await assertFails(classDoc('teacher2'));
+    await assertFails(classDoc('outsider'));
+    await assertFails(classDoc('parent2'));
+  });
+
+  test('a teacher can list their own classes but not every class', async () => {
+    await seed();
+    const classes = signedInAs('teacher1').collection('classes');
+
+    await assertSucceeds(classes.where('teacherId', '==', 'teacher1').get());
+    await assertFails(classes.where('archived', '==', false).get());
+    await assertFails(signedInAs('student1').collection('classes').get());
+  });
+
+  test('a parent with no child in the class cannot read its assignments, notices or attendance', async () => {
+    await seed();
+    const classRef = signedInAs('parent2').collection('classes').doc(CLASS_ID);
+
+    await assertFails(classRef.collection('assignments').doc('a1').get());
+    await assertFails(classRef.collection('notices').get());
+    await assertFails(classRef.collection('studentAttendance').doc('student1').get());
+  });
+
+  test('a parent cannot list themselves under a child they are not linked to', async () => {
+    await seed();
+
+    await assertFails(signedInAs('parent2').collection('classes').doc(CLASS_ID)
+      .collection('parents').doc('parent2').set({ studentIds: ['student1'] }));
+  });
+
+  test('a parent linked to two children keeps access when the first child\'s link is removed', async () => {
+    await seed(async (db) => {
+      await db.collection('parentLinks').doc(`parent1_${CLASS_ID}_student2`).set({
+        parentId: 'parent1',
+        studentId: 'student2',
+        classId: CLASS_ID,
+        code: 'OTHERCODE'
+      });
+      await db.collection('classes').doc(CLASS_ID).collection('parents').doc('parent1')
+        .set({ studentIds: ['student1', 'student2'] });
+    });
+    const db = signedInAs('parent1');
+    const link = db.collection('parentLinks').doc(`parent1_${CLASS_ID}_student1`);
+    const access = db.collection('classes').doc(CLASS_ID).collection('parents').doc('parent1');
+
+    // The link cannot go while the list still names the child
+    await assertFails(link.delete());
+    await assertSucceeds(db.batch()
+      .delete(link)
+      .set(access, { studentIds: FieldValue.arrayRemove('student1') }, { merge: true })
+      .commit());
+    await assertSucceeds(db.collection('classes').doc(CLASS_ID).collection('assignments').doc('a1').get());
+  });
+
+  test('a teacher can remove parents from the class but not add them', async () => {
+    await seed();
+    const parents = signedInAs('teacher1').collection('classes').doc(CLASS_ID).collection('parents');
+
+    await assertFails(parents.doc('parent2').set({ studentIds: ['student1'] }));
+    await assertSucceeds(parents.doc('parent1').set({ studentIds: FieldValue.arrayRemove('student1') }, { merge: true }));
+  });
+
+  test('a linked parent can read the class assignments', async () => {
+    await seed();
+
+    await assertSucceeds(signedInAs('parent1').collection('classes').doc(CLASS_ID)
+      .collection('assignments').doc('a1').get());
+  });
+});
+
+describe('notices', () => {
+  /**
+   * Adds notices for the whole class, for student2 only and for parent1's child
+   * @param {firebase.firestore.Firestore} db
+   */
+  async function addNotices(db) {
+    const notices = db.collection('classes').doc(CLASS_ID).collection('notices');
+    const notice = (audience, studentIds, parentIds) => ({
+      text: 'Notice',
+      pinned: false,
+      audience: audience,
+      studentIds: studentIds,
+      targeted: studentIds.length > 0,
+      parentIds: parentIds,
+      createdBy: 'teacher1'
+    });
+    await notices.doc('everyone').set(notice('everyone', [], []));
+    await notices.doc('student2').set(notice('students', ['student2'], []));
+    await notices.doc('parents').set(notice('parents', ['student1'], ['parent1']));
+  }
+
+  test('students and parents can only read the notices meant for them', async () => {
+    await seed(addNotices);
+    const notice = (uid, id) => signedInAs(uid).collection('classes').doc(CLASS_ID).collection('notices').doc(id);
+
+    await assertSucceeds(notice('student1', 'everyone').get());
+    await assertFails(notice('student1', 'student2').get());
+    await assertFails(notice('student1', 'parents').get());
+    await assertSucceeds(notice('student2', 'student2').get());
+    await assertSucceeds(notice('parent1', 'parents').get());
+    await assertFails(notice('parent1', 'student2').get());
+  });
+
+  test('a student can run the portal\'s notice queries but not list every notice', async () => {
+    await seed(addNotices);
+    const notices = signedInAs('student1').collection('classes').doc(CLASS_ID).collection('notices');
+    const forStudents = notices.where('audience', 'in', ['everyone', 'students']);
+
+    await assertSucceeds(forStudents.where('targeted', '==', false).get());
+    await assertSucceeds(forStudents.where('studentIds', 'array-contains', 'student1').get());
+    await assertFails(notices.get());
+  });
+
+  test('the teacher must mark a notice for chosen students as targeted', async () => {
+    await seed();
+    const notices = signedInAs('teacher1').collection('classes').doc(CLASS_ID).collection('notices');
+    const notice = (targeted) => ({
+      text: 'Trip tomorrow',
+      pinned: false,
+      audience: 'everyone',
+      studentIds: ['student1'],
+      targeted: targeted,
+      parentIds: ['parent1'],
+      createdBy: 'teacher1'
+    });
+
+    await assertFails(notices.add(notice(false)));
+    await assertSucceeds(notices.add(notice(true)));
+  });
+});
+
+describe('parent messages', () => {
+  test('a student cannot read parentMessages or conversations, even about themselves', async () => {
+    await seed();
+    const classRef = signedInAs('student1').collection('classes').doc(CLASS_ID);
+
+    await assertFails(classRef.collection('parentMessages').doc('m1').get());
+    await assertFails(classRef.collection('parentMessages').get());
+    await assertFails(classRef.collection('conversations').doc('parent1_student1').get());
+    await assertFails(classRef.collection('conversations').doc('parent1_student1').collection('messages').get());
+  });
+
+  test('the parent and the teacher can read the conversation', async () => {
+    await seed();
+
+    await assertSucceeds(signedInAs('parent1').collection('classes').doc(CLASS_ID)
+      .collection('conversations').doc('parent1_student1').get());
+    await assertSucceeds(signedInAs('teacher1').collection('classes').doc(CLASS_ID)
+      .collection('conversations').doc('parent1_student1').get());
+  });
+
+  /**
+   * Builds the conversation update conversationsModule.sendParentMessage writes
+   * @param {string} text - Message text
+   * @returns {Object}
+   */
+  function conversationBump(text) {
+    return {
+      parentId: 'parent1',
+      parentName: 'parent1',
+      studentId: 'student1',
+      childName: 'student1',
+      lastMessage: text,
+      lastSender: 'parent',
+      lastMessageAt: FieldValue.serverTimestamp(),
+      unreadByTeacher: FieldValue.increment(1),
+      archived: false
+    };
+  }
+
+  /**
+   * Builds a parent's message
+   * @param {string} text
+   * @returns {Object}
+   */
+  function parentMessage(text) {
+    return {
+      senderId: 'parent1',
+      senderRole: 'parent',
+      senderName: 'parent1',
+      text: text,
+      timestamp: FieldValue.serverTimestamp(),
+      readAt: null
+    };
+  }
+
+  test('a parent posts a message only together with the unread bump on the conversation', async () => {
+    await seed();
+    const conversation = signedInAs('parent1').collection('classes').doc(CLASS_ID)
+      .collection('conversations').doc('parent1_student1');
+
+    await assertFails(conversation.collection('messages').doc('m2').set(parentMessage('Quietly')));
+    await assertSucceeds(signedInAs('parent1').batch()
+      .set(conversation, conversationBump('Hello again'), { merge: true })
+      .set(conversation.collection('messages').doc('m3'), parentMessage('Hello again'))
+      .commit());
+  });
+
+  test('a parent cannot write other fields of the conversation', async () => {
+    await seed();
+    const conversation = signedInAs('parent1').collection('classes').doc(CLASS_ID)
+      .collection('conversations').doc('parent1_student1');
+
+    await assertFails(conversation.set({ ...conversationBump('Hi'), teacherId: 'parent1' }, { merge: true }));
+    await assertFails(conversation.set({ ...conversationBump('Hi'), lastSender: 'teacher' }, { merge: true }));
+  });
+});
+
+describe('submissions', () => {
+  test('a parent who is not linked to the child cannot read their submission', async () => {
+    await seed();
+
+    await assertFails(signedInAs('parent2').collection('classes').doc(CLASS_ID)
+      .collection('submissions').doc('a1_student1').get());
+  });
+
+  test('a linked parent can read their child\'s submission', async () => {
+    await seed();
+
+    await assertSucceeds(signedInAs('parent1').collection('classes').doc(CLASS_ID)
+      .collection('submissions').doc('a1_student1').get());
+  });
+
+  test('a student cannot read another student\'s submission', async () => {
+    await seed();
+
+    await assertFails(signedInAs('student2').collection('classes').doc(CLASS_ID)
+      .collection('submissions').doc('a1_student1').get());
+  });
+
+  test('a resubmission must clear the previous version\'s grade and return', async () => {
+    await seed(async (db) => {
+      const classRef = db.collection('classes').doc(CLASS_ID);
+      await classRef.collection('assignments').doc('a1').update({ allowResubmission: true });
+      await classRef.collection('submissions').doc('a1_student1').update({
+        grade: { score: 8, maxScore: 10, version: 1, gradedBy: 'teacher1' },
+        returned: true,
+        returnedAt: Timestamp.now()
+      });
+    });
+    const db = signedInAs('student1');
+    const submission = db.collection('classes').doc(CLASS_ID).collection('submissions').doc('a1_student1');
+    const resubmit = (changes) => db.batch()
+      .update(submission, {
+        content: 'Better work',
+        attachments: [],
+        version: 2,
+        timestamp: FieldValue.serverTimestamp(),
+        ...changes
+      })
+      .set(submission.collection('versions').doc('2'), {
+        version: 2,
+        content: 'Better work',
+        attachments: [],
+        timestamp: FieldValue.serverTimestamp()
+      })
+      .commit();
+
+    await assertFails(resubmit({}));
+    await assertFails(resubmit({ returned: false }));
+    await assertSucceeds(resubmit({ grade: FieldValue.delete(), returned: false, returnedAt: FieldValue.delete() }));
+  });
+});
+
+describe('attendance', () => {
+  test('a student cannot mark attendance for another uid', async () => {
+    await seed();
+    const day = signedInAs('student2').collection('classes').doc(CLASS_ID).collection('attendance').doc(TODAY);
+
+    await assertFails(day.update(new FieldPath('records', 'student1'), attendanceRecord('student1')));
+  });
+
+  test('a student can mark their own attendance while the session is open', async () => {
+    await seed();
+    const day = signedInAs('student1').collection('classes').doc(CLASS_ID).collection('attendance').doc(TODAY);
+
+    await assertSucceeds(day.update(new FieldPath('records', 'student1'), attendanceRecord('student1')));
+  });
+
+  test('a student not on the roster cannot mark attendance', async () => {
+    await seed();
+    const day = signedInAs('outsider').collection('classes').doc(CLASS_ID).collection('attendance').doc(TODAY);
+
+    await assertFails(day.update(new FieldPath('records', 'outsider'), attendanceRecord('outsider')));
+  });
+
+  test('a student can replace an absence left by an earlier session, but not an attended record', async () => {
+    await seed(async (db) => {
+      await db.collection('classes').doc(CLASS_ID).collection('attendance').doc(TODAY).set({
+        status: 'open',
+        records: {
+          student1: { name: 'student1', status: 'absent' },
+          student2: { name: 'student2', status: 'late' }
+        }
+      });
+    });
+    const attendance = (uid) => signedInAs(uid).collection('classes').doc(CLASS_ID).collection('attendance').doc(TODAY);
+
+    await assertSucceeds(attendance('student1').update(new FieldPath('records', 'student1'), attendanceRecord('student1')));
+    await assertFails(attendance('student2').update(new FieldPath('records', 'student2'), attendanceRecord('student2')));
+  });
+
+  test('a student cannot mark once the session\'s endTime has passed, whatever their clock says', async () => {
+    await seed(async (db) => {
+      await db.collection('classes').doc(CLASS_ID).collection('attendance').doc('current')
+        .update({ endTime: minutesFromNow(-1), lateAfter: minutesFromNow(-2) });
+    });
+    const day = signedInAs('student1').collection('classes').doc(CLASS_ID).collection('attendance').doc(TODAY);
+
+    await assertFails(day.update(new FieldPath('records', 'student1'), attendanceRecord('student1', 'late')));
+  });
+
+  test('a student cannot mark with a session code that has expired', async () => {
+    await seed(async (db) => {
+      await db.collection('classes').doc(CLASS_ID).collection('attendanceCodes').doc(SESSION_CODE)
+        .update({ expiresAt: minutesFromNow(-1) });
+    });
+    const day = signedInAs('student1').collection('classes').doc(CLASS_ID).collection('attendance').doc(TODAY);
+
+    await assertFails(day.update(new FieldPath('records', 'student1'), attendanceRecord('student1')));
+  });
+
+  test('a student marking after lateAfter must be recorded late, not present', async () => {
+    await seed(async (db) => {
+      await db.collection('classes').doc(CLASS_ID).collection('attendance').doc('current')
+        .update({ lateAfter: minutesFromNow(-1) });
+    });
+    const day = (uid) => signedInAs(uid).collection('classes').doc(CLASS_ID).collection('attendance').doc(TODAY);
+
+    await assertFails(day('student1').update(new FieldPath('records', 'student1'), attendanceRecord('student1', 'present')));
+    await assertSucceeds(day('student2').update(new FieldPath('records', 'student2'), attendanceRecord('student2', 'late')));
+  });
+
+  test('only the teacher can read a day\'s records for the whole class', async () => {
+    await seed();
+    const day = (uid) => signedInAs(uid).collection('classes').doc(CLASS_ID).collection('attendance').doc(TODAY);
+
+    await assertFails(day('student1').get());
+    await assertFails(day('parent1').get());
+    await assertSucceeds(day('teacher1').get());
+  });
+
+  test('students and linked parents read only their own student\'s attendance', async () => {
+    await seed();
+    const studentAttendance = (uid, studentId) => signedInAs(uid).collection('classes').doc(CLASS_ID)
+      .collection('studentAttendance').doc(studentId);
+
+    await assertSucceeds(studentAttendance('student1', 'student1').get());
+    await assertFails(studentAttendance('student1', 'student2').get());
+    await assertSucceeds(studentAttendance('parent1', 'student1').get());
+    await assertFails(studentAttendance('parent1', 'student2').get());
+  });
+
+  test('a student copies the status they recorded into their own attendance, and nothing else', async () => {
+    await seed();
+    const db = signedInAs('student1');
+    const classRef = db.collection('classes').doc(CLASS_ID);
+    const mark = (status) => db.batch()
+      .update(classRef.collection('attendance').doc(TODAY), new FieldPath('records', 'student1'), attendanceRecord('student1'))
+      .update(classRef.collection('studentAttendance').doc('student1'), new FieldPath('days', TODAY), { status: status })
+      .commit();
+
+    await assertFails(mark('excused'));
+    await assertSucceeds(mark('present'));
+  });
+});
+
+describe('notifications', () => {
+  /**
+   * Builds a reminder from teacher1 about student1
+   * @param {string} recipientId
+   * @param {string} recipientRole - 'student' or 'parent'
+   * @returns {Object}
+   */
+  function reminder(recipientId, recipientRole) {
+    return {
+      type: 'reminder',
+      recipientId: recipientId,
+      recipientRole: recipientRole,
+      classId: CLASS_ID,
+      assignmentId: 'a1',
+      studentId: recipientRole === 'student' ? recipientId : 'student1',
+      title: 'Reminder: Homework',
+      message: 'Not submitted yet',
+      createdBy: 'teacher1',
+      timestamp: FieldValue.serverTimestamp()
+    };
+  }
+
+  test('the teacher can remind a student on the roster and that student\'s linked parent', async () => {
+    await seed();
+    const notifications = signedInAs('teacher1').collection('notifications');
+
+    await assertSucceeds(notifications.add(reminder('student1', 'student')));
+    await assertSucceeds(notifications.add(reminder('parent1', 'parent')));
+  });
+
+  test('the teacher cannot notify users outside the class', async () => {
+    await seed();
+    const notifications = signedInAs('teacher1').collection('notifications');
+
+    await assertFails(notifications.add(reminder('outsider', 'student')));
+    await assertFails(notifications.add(reminder('parent2', 'parent')));
+    await assertFails(notifications.add(reminder('teacher2', 'student')));
+  });
+});
+
+describe('parent link codes', () => {
+  /**
+   * Adds an unused link code for student2
+   * @param {firebase.firestore.Firestore} db
+   */
+  async function addLinkCode(db) {
+    await db.collection('linkCodes').doc('NEWCODE').set({
+      classId: CLASS_ID,
+      studentId: 'student2',
+      studentName: 'student2',
+      createdBy: 'teacher1',
+      expiresAt: minutesFromNow(60),
+      used: false,
+      revoked: false
+    });
+  }
+
+  /**
+   * Builds parent2's link to student2
+   * @returns {Object}
+   */
+  function link() {
+    return { parentId: 'parent2', studentId: 'student2', classId: CLASS_ID, code: 'NEWCODE' };
+  }
+
+  test('a parent cannot link without marking the code used in the same write', async () => {
+    await seed(addLinkCode);
+    const db = signedInAs('parent2');
+
+    await assertFails(db.collection('parentLinks').doc(`parent2_${CLASS_ID}_student2`).set(link()));
+    await assertFails(db.collection('linkCodes').doc('NEWCODE').update({ used: true, usedBy: 'parent2' }));
+  });
+
+  test('a parent can link and use the code in one batch, once', async () => {
+    await seed(addLinkCode);
+    const db = signedInAs('parent2');
+    const redeem = (batch) => batch
+      .set(db.collection('parentLinks').doc(`parent2_${CLASS_ID}_student2`), link())
+      .update(db.collection('linkCodes').doc('NEWCODE'), { used: true, usedBy: 'parent2', usedAt: FieldValue.serverTimestamp() })
+      .commit();
+
+    await assertSucceeds(redeem(db.batch()));
+    await assertFails(redeem(signedInAs('parent2').batch()));
+  });
+});
+
+describe('account administration', () => {
+  /**
+   * Adds an admin, and a student whose profile predates the status field
+   * @param {firebase.firestore.Firestore} db
+   */
+  async function addAdminAndLegacyUser(db) {
+    await db.collection('users').doc('admin1').set({ role: 'admin', status: 'active', name: 'admin1' });
+    await db.collection('users').doc('legacy').set({ role: 'student', name: 'legacy' });
+  }
+
+  /**
+   * Changes a user's role the way usersModule.setUserRole does
+   * @param {string} uid - Signed-in user making the change
+   * @param {string} userId - Account to change
+   * @returns {Promise<void>}
+   */
+  function setRole(uid, userId) {
+    return signedInAs(uid).collection('users').doc(userId).update({
+      role: 'teacher',
+      accountUpdatedBy: uid,
+      accountUpdatedAt: FieldValue.serverTimestamp()
+    });
+  }
+
+  test('an admin can change the role of a profile without a status', async () => {
+    await seed(addAdminAndLegacyUser);
+
+    await assertSucceeds(setRole('admin1', 'legacy'));
+  });
+
+  test('a role or status claim stops counting once the profile changes', async () => {
+    await seed(async (db) => {
+      await db.collection('users').doc('teacher2').update({ status: 'disabled' });
+    });
+    const assignment = (uid, claims) => testEnv.authenticatedContext(uid, claims).firestore()
+      .collection('classes').doc(CLASS_ID).collection('assignments').doc('a1').get();
+
+    await assertSucceeds(assignment('teacher1', { role: 'teacher', status: 'active' }));
+    await assertSucceeds(assignment('student1', { role: 'student', status: 'active' }));
+    // Still a teacher in a token issued before the change
+    await assertFails(assignment('student1', { role: 'teacher', status: 'active' }));
+    await assertFails(signedInAs('teacher2').collection('users').doc('student1').get());
+    await assertFails(testEnv.authenticatedContext('teacher2', { role: 'teacher', status: 'active' }).firestore()
+      .collection('users').doc('student1').get());
+  });
+
+  test('only an admin can change roles', async () => {
+    await seed(addAdminAndLegacyUser);
+
+    await assertFails(setRole('teacher1', 'legacy'));
+    await assertFails(setRole('legacy', 'legacy'));
+  });
+});
+
+describe('legacy data migration', () => {
+  /**
+   * Writes what classesModule.migrateLegacyData copies from the pre-class collections
+   * @param {firebase.firestore.Firestore} db - Signed in as the migrating teacher
+   * @returns {Promise<void>}
+   */
+  function copyLegacyDocuments(db) {
+    const defaultClass = db.collection('classes').doc('default');
+    return db.batch()
+      .set(defaultClass.collection('attendance').doc('2025-06-01'), { status: 'closed', records: {} })
+      .set(defaultClass.collection('submissions').doc('old1'), { studentName: 'Sam', content: 'Essay' })
+      .set(defaultClass.collection('notices').doc('current'), { text: 'Welcome back' })
+      .set(defaultClass.collection('parentMessages').doc('m1'), { message: 'Hello', read: false })
+      .set(defaultClass.collection('parentReplies').doc('latest'), { reply: 'Hi' })
+      .commit();
+  }
+
+  /**
+   * Seeds classes/default owned by teacher1, as the migration creates it first
+   * @param {firebase.firestore.Firestore} db
+   */
+  async function addDefaultClass(db) {
+    await db.collection('classes').doc('default').set({ name: 'Default Class', teacherId: 'teacher1', archived: false });
+  }
+
+  test('the teacher can copy the legacy documents into classes/default', async () => {
+    await seed(addDefaultClass);
+    const db = signedInAs('teacher1');
+
+    await assertSucceeds(copyLegacyDocuments(db));
+    await assertSucceeds(db.collection('migrations').doc('singleClass').set({ classId: 'default', migratedBy: 'teacher1' }));
+  });
+
+  test('legacy documents cannot be written once the migration has run', async () => {
+    await seed(async (db) => {
+      await addDefaultClass(db);
+      await db.collection('migrations').doc('singleClass').set({ classId: 'default', migratedBy: 'teacher1' });
+    });
+
+    await assertFails(copyLegacyDocuments(signedInAs('teacher1')));
+  });
+
+  test('another teacher cannot write legacy documents into classes/default', async () => {
+    await seed(addDefaultClass);
+
+    await assertFails(copyLegacyDocuments(signedInAs('teacher2')));
+  });
+  test('a migration marker cannot be removed or overwritten, even by the teacher who wrote it', async () => {
+    await seed(async (db) => {
+      await addDefaultClass(db);
+      await db.collection('migrations').doc('singleClass').set({ classId: 'default', migratedBy: 'teacher1' });
+    });
+
+    for (const uid of ['teacher1', 'teacher2']) {
+      const marker = signedInAs(uid).collection('migrations').doc('singleClass');
+      await assertFails(marker.delete());
+      await assertFails(marker.set({ classId: null, migratedBy: uid }));
+    }
+  });
+
+  test('only the class teacher writes a per-class migration marker, as themselves', async () => {
+    await seed();
+    const marker = (uid) => signedInAs(uid).collection('migrations').doc(`studentAttendance_${CLASS_ID}`);
+
+    await assertFails(marker('teacher2').set({ classId: CLASS_ID, migratedBy: 'teacher2' }));
+    await assertFails(marker('teacher1').set({ classId: CLASS_ID, migratedBy: 'teacher2' }));
+    await assertFails(signedInAs('teacher1').collection('migrations').doc('studentAttendance_other')
+      .set({ classId: CLASS_ID, migratedBy: 'teacher1' }));
+    await assertSucceeds(marker('teacher1').set({ classId: CLASS_ID, migratedBy: 'teacher1' }));
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Toast Module
+ *
+ * Non-blocking notifications shared by every portal page. Toasts stack in
+ * the bottom-right corner, disappear on their own (errors stay a little
+ * longer) and close when clicked.
+ *
+ * Pages pass module results (see results.js) to showResult, which picks the
+ * style from result.ok and shows result.message.
+ */
+
+const TOAST_DURATION_MS = 4000;
+const TOAST_ERROR_DURATION_MS = 7000;
+const TOAST_MAX_VISIBLE = 4;
+
+const TOAST_STYLES = {
+  success: 'border-emerald-500/40 bg-emerald-950/90 text-emerald-100',
+  error: 'border-red-500/40 bg-red-950/90 text-red-100',
+  info: 'border-indigo-500/40 bg-zinc-900/95 text-zinc-100'
+};
+
+/**
+ * Gets (creating on first use) the element toasts are stacked in
+ * @returns {HTMLElement}
+ */
+function getToastContainer() {
+  let container = document.getElementById('toastContainer');
+  if (!container) {
+    container = document.createElement('div');
+    container.id = 'toastContainer';
+    container.className = 'fixed bottom-4 right-4 z-50 flex flex-col items-end gap-2 pointer-events-none';
+    container.setAttribute('aria-live', 'polite');
+    document.body.appendChild(container);
+  }
+  return container;
+}
+
+/**
+ * Removes a toast
+ * @param {HTMLElement} toast - Toast element
+ */
+function dismissToast(toast) {
+  clearTimeout(toast.dismissTimer);
+  toast.remove();
+}
+
+/**
+ * Shows a toast
+ * @param {string} message - Text to show
+ * @param {Object} [options] - { type: 'success' | 'error' | 'info', duration: ms (0 keeps it until clicked) }
+ * @returns {HTMLElement|null} - The toast, or null if there was nothing to show
+ */
+function showToast(message, options = {}) {
+  if (!message) return null;
+
+  const type = TOAST_STYLES[options.type] ? options.type : 'info';
+  const duration = options.duration !== undefined
+    ? options.duration
+    : (type === 'error' ? TOAST_ERROR_DURATION_MS : TOAST_DURATION_MS);
+
+  const container = getToastContainer();
+  while (container.children.length >= TOAST_MAX_VISIBLE) {
+    dismissToast(container.firstElementChild);
+  }
+
+  const toast = document.createElement('div');
+  toast.className = `pointer-events-auto max-w-sm cursor-pointer rounded-lg border px-4 py-3 text-sm font-medium shadow-lg shadow-black/40 backdrop-blur ${TOAST_STYLES[type]}`;
+  toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+  toast.textContent = message;
+  toast.addEventListener('click', () => dismissToast(toast));
+  container.appendChild(toast);
+
+  if (duration > 0) {
+    toast.dismissTimer = setTimeout(() => dismissToast(toast), duration);
+  }
+  return toast;
+}
+
+/**
+ * Shows the outcome of a module function
+ * Successes without a message are not announced
+ * @param {Object} result - Result from a module function (see results.js)
+ * @returns {boolean} - result.ok
+ */
+function showResult(result) {
+  if (!result) return false;
+  showToast(result.message, { type: result.ok ? 'success' : 'error' });
+  return result.ok;
+}
+
+// Export functions for use in the portal pages
+window.toastModule = {
+  showToast,
+  showResult
+};
@@ -0,0 +1,137 @@
+/**
+ * User Accounts Module
+ *
+ * Handles the account administration done on admin.html:
+ * - Listing every user with their role and account status
+ * - Approving teacher signups, which start out 'pending'
+ * - Changing a user's role
+ * - Disabling and re-enabling accounts
+ *
+ * Role and status live on users/{uid}; the syncRoleClaims Cloud Function
+ * copies them into the account's custom claims and disables the Firebase
+ * Auth account of disabled users. Admins cannot change their own account,
+ * so there is always an admin left to undo a mistake.
+ */
+
+// Roles an admin can give an account
+const USER_ROLES = ['admin', 'teacher', 'student', 'parent'];
+
+// Pending accounts are listed first, then active, then disabled
+const STATUS_ORDER = { pending: 0, active: 1, disabled: 2 };
+
+/**
+ * Sets up real-time listener for all user accounts
+ * Requires admin role; accounts without a status are reported as active
+ * @param {Function} updateCallback - Receives the users, pending first, then by name
+ * @returns {Function} - Unsubscribe function
+ */
+function watchUsers(updateCallback) {
+  return db.collection('users').onSnapshot((snapshot) => {
+    const users = [];
+    snapshot.forEach((doc) => {
+      const data = doc.data();
+      users.push({
+        id: doc.id,
+        ...data,
+        status: data.status || 'active'
+      });
+    });
+    users.sort((a, b) =>
+      (STATUS_ORDER[a.status] - STATUS_ORDER[b.status]) ||
+      (a.name || a.email || '').localeCompare(b.name || b.email || ''));
+    updateCallback(users);
+  }, (error) => {
+    console.error('Error watching users:', error);
+    updateCallback([]);
+  });
+}
+
+/**
+ * Writes role/status changes to another user's account
+ * @param {string} userId - Account to change
+ * @param {Object} changes - { role } and/or { status }
+ * @param {string} action - Permission action on 'user' (see auth/permissions.js)
+ * @param {string} description - What is being done, for error messages
+ * @param {Function} successMessage - Receives the account's name, returns the message
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function updateAccount(userId, changes, action, description, successMessage) {
+  // Check authentication and permission
+  const { user, error: authError } = await window.permissionsModule.requirePermission(action, 'user', description);
+  if (authError) return authError;
+
+  if (!userId) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please choose a user.');
+  }
+  if (userId === user.uid) {
+    return window.resultsModule.failure('NOT_AUTHORIZED', 'You cannot change your own account. Ask another admin.');
+  }
+
+  try {
+    const userRef = db.collection('users').doc(userId);
+    const userDoc = await userRef.get();
+    if (!userDoc.exists) {
+      return window.resultsModule.failure('NOT_FOUND', 'This user no longer exists.');
+    }
+
+    await userRef.update({
+      ...changes,
+      accountUpdatedBy: user.uid,
+      accountUpdatedAt: backend.FieldValue.serverTimestamp()
+    });
+    const data = userDoc.data();
+    return window.resultsModule.success(successMessage(data.name || data.email || 'User'));
+  } catch (error) {
+    console.error(`Error trying to ${description}:`, error);
+    return window.resultsModule.fromError(error, `Failed to ${description}. Please try again.`);
+  }
+}
+
+/**
+ * Approves a pending account (a teacher signup) so it can be used
+ * Requires admin role
+ * @param {string} userId - Account to approve
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function approveUser(userId) {
+  return updateAccount(userId, { status: 'active' }, 'approve', 'approve accounts',
+    name => `Approved ${name}.`);
+}
+
+/**
+ * Changes a user's role
+ * Requires admin role
+ * @param {string} userId - Account to change
+ * @param {string} role - New role (one of USER_ROLES)
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function setUserRole(userId, role) {
+  if (!USER_ROLES.includes(role)) {
+    return window.resultsModule.failure('INVALID_INPUT', 'Please choose a valid role.');
+  }
+  return updateAccount(userId, { role: role }, 'update', 'change roles',
+    name => `${name} is now ${role === 'admin' ? 'an' : 'a'} ${role}.`);
+}
+
+/**
+ * Disables (or re-enables) a user's account
+ * Disabled accounts cannot sign in, and open portals are signed out
+ * Requires admin role
+ * @param {string} userId - Account to change
+ * @param {boolean} disabled - true to disable, false to enable
+ * @returns {Promise<Object>} - Result (see results.js)
+ */
+async function setUserDisabled(userId, disabled = true) {
+  return updateAccount(userId, { status: disabled ? 'disabled' : 'active' }, 'update',
+    disabled ? 'disable accounts' : 'enable accounts',
+    name => disabled ? `Disabled ${name}.` : `Enabled ${name}.`);
+}
+
+// Export functions for use in other modules
+window.usersModule = {
+  USER_ROLES,
+  watchUsers,
+  approveUser,
+  setUserRole,
+  setUserDisabled
+};